@@ -0,0 +1,93 @@
+/**
+ * Background Service Worker
+ * Forwards the keyboard commands declared in the manifest (which Chrome lets
+ * users rebind at chrome://extensions/shortcuts) to the content script of
+ * the tab they were pressed in, and keeps the subtitle tracks captured in
+ * each tab apart so the popup shows the ones of the tab it was opened on
+ */
+
+const CommandRelay = {
+  /**
+   * Start listening for keyboard commands
+   */
+  init() {
+    chrome.commands.onCommand.addListener((command, tab) => this.handleCommand(command, tab));
+  },
+
+  /**
+   * Send a command to the tab it was pressed in
+   * @param {string} command - Command name from the manifest
+   * @param {Object} tab - Tab that had focus, if Chrome reports one
+   */
+  async handleCommand(command, tab) {
+    try {
+      const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+      if (!target || target.id === undefined) return;
+
+      await chrome.tabs.sendMessage(target.id, { type: 'shortcut', command });
+    } catch (error) {
+      // Pages without the content script (e.g. chrome:// pages) have no receiver
+      console.warn(`[Dual Subtitle] Could not deliver command ${command}: ${error.message}`);
+    }
+  }
+};
+
+const CapturedTrackStore = {
+  // Storage key holding { [tabId]: { tracks, manifests } }
+  STORAGE_KEY: 'capturedTracks',
+
+  // Pending write; updates are chained so concurrent tabs don't overwrite each other
+  queue: Promise.resolve(),
+
+  /**
+   * Start listening for captured tracks and closed tabs
+   */
+  init() {
+    chrome.runtime.onMessage.addListener((message, sender) => {
+      if (message && message.type === 'capturedTracks' && sender.tab && sender.frameId === 0) {
+        this.save(sender.tab.id, message.tracks || [], message.manifests || []);
+      }
+    });
+    chrome.tabs.onRemoved.addListener(tabId => this.update(tabId, null));
+  },
+
+  /**
+   * Store the tracks captured in a tab
+   * @param {number} tabId - Tab ID
+   * @param {Array<Object>} tracks - Captured subtitle tracks
+   * @param {Array<string>} manifests - Captured manifest URLs
+   */
+  save(tabId, tracks, manifests) {
+    const empty = tracks.length === 0 && manifests.length === 0;
+    this.update(tabId, empty ? null : { tracks, manifests });
+  },
+
+  /**
+   * Replace or remove the entry of one tab
+   * @param {number} tabId - Tab ID
+   * @param {Object|null} entry - New entry, or null to remove it
+   */
+  update(tabId, entry) {
+    this.queue = this.queue.then(async () => {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      // Older versions stored a single list here
+      const stored = result[this.STORAGE_KEY];
+      const byTab = stored && !Array.isArray(stored) ? stored : {};
+
+      // Most pages never capture anything; skip the write for them
+      if (!entry && !byTab[tabId]) return;
+
+      if (entry) {
+        byTab[tabId] = entry;
+      } else {
+        delete byTab[tabId];
+      }
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: byTab });
+    }).catch(error => {
+      console.warn(`[Dual Subtitle] Could not store captured tracks: ${error.message}`);
+    });
+  }
+};
+
+CommandRelay.init();
+CapturedTrackStore.init();
@@ -46,7 +46,10 @@ class DualSubtitleExtension {
       }
       
       // Initialize all modules
+      TrackCapture.init();
+      KeyboardShortcuts.init();
       SubtitleOverlay.init();
+      TranscriptPanel.init();
       SubtitleManager.init();
       
       this.isInitialized = true;
@@ -68,7 +71,7 @@ class DualSubtitleExtension {
    * Validate that all required modules are loaded
    */
   validateModules() {
-    const requiredModules = ['Utils', 'SubtitleParser', 'SubtitleOverlay', 'SubtitleManager'];
+    const requiredModules = ['Utils', 'ManifestParser', 'SubtitleParser', 'SubtitleSync', 'TrackCapture', 'TitleStore', 'KeyboardShortcuts', 'CueTextRenderer', 'SubtitleExporter', 'SubtitleOverlay', 'TranscriptPanel', 'SubtitleManager'];
     
     for (const moduleName of requiredModules) {
       if (typeof window[moduleName] === 'undefined') {
@@ -170,6 +173,7 @@ class DualSubtitleExtension {
       initialized: this.isInitialized,
       initializationAttempts: this.initializationAttempts,
       overlay: SubtitleOverlay.getState(),
+      transcript: TranscriptPanel.getState(),
       manager: SubtitleManager.getState()
     };
   }
@@ -187,6 +191,10 @@ class DualSubtitleExtension {
         SubtitleOverlay.removeOverlay();
       }
       
+      if (TranscriptPanel && TranscriptPanel.removePanel) {
+        TranscriptPanel.removePanel();
+      }
+      
       Utils.log('Extension cleanup completed');
     } catch (error) {
       Utils.log(`Error during cleanup: ${error.message}`, 'error');
@@ -0,0 +1,232 @@
+/**
+ * Cue Text Renderer Module
+ * Builds DOM nodes for WebVTT inline markup (<i>, <b>, <u>, <c>, <v>, <lang>, <ruby>)
+ * without ever assigning untrusted cue text through innerHTML
+ */
+
+const CueTextRenderer = {
+  // Configuration constants
+  CONFIG: {
+    CLASS_PREFIX: 'vtt-',
+    // WebVTT tag name -> element created for it
+    TAGS: {
+      c: 'span',
+      i: 'i',
+      b: 'b',
+      u: 'u',
+      v: 'span',
+      lang: 'span',
+      ruby: 'ruby',
+      rt: 'rt'
+    },
+    // WebVTT default colour classes
+    COLORS: {
+      white: '#FFFFFF',
+      lime: '#00FF00',
+      cyan: '#00FFFF',
+      red: '#FF0000',
+      yellow: '#FFFF00',
+      magenta: '#FF00FF',
+      blue: '#0000FF',
+      black: '#000000'
+    },
+    ENTITIES: {
+      amp: '&',
+      lt: '<',
+      gt: '>',
+      quot: '"',
+      apos: '\'',
+      nbsp: '\u00A0',
+      lrm: '\u200E',
+      rlm: '\u200F'
+    }
+  },
+
+  /**
+   * Render cue text with inline markup into an element, replacing its content
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Cue text (may contain WebVTT markup)
+   */
+  render(element, text) {
+    element.textContent = '';
+    if (!text) return;
+
+    // Fast path for plain text
+    if (!/[<&]/.test(text)) {
+      element.textContent = text;
+      return;
+    }
+
+    try {
+      const stack = [{ tag: null, node: element }];
+
+      this.tokenize(text).forEach(token => {
+        const current = stack[stack.length - 1];
+
+        if (token.type === 'text') {
+          current.node.appendChild(document.createTextNode(token.value));
+        } else if (token.type === 'start') {
+          // An <rt> implicitly ends when another <rt> starts
+          if (token.tag === 'rt' && current.tag === 'rt') {
+            stack.pop();
+          }
+          const node = this.createTagNode(token);
+          stack[stack.length - 1].node.appendChild(node);
+          stack.push({ tag: token.tag, node });
+        } else if (token.type === 'end') {
+          // Close up to the matching open tag; stray end tags are ignored
+          const index = this.findOpenTag(stack, token.tag);
+          if (index > 0) {
+            stack.length = index;
+          }
+        }
+      });
+    } catch (error) {
+      Utils.log(`Error rendering cue markup: ${error.message}`, 'error');
+      element.textContent = this.toPlainText(text);
+    }
+  },
+
+  /**
+   * Strip markup and decode entities, dropping ruby annotations
+   * @param {string} text - Cue text (may contain WebVTT markup)
+   * @returns {string} Plain text
+   */
+  toPlainText(text) {
+    if (!text) return '';
+
+    let rubyTextDepth = 0;
+    let plain = '';
+
+    this.tokenize(text).forEach(token => {
+      if (token.type === 'start' && token.tag === 'rt') {
+        rubyTextDepth++;
+      } else if (token.type === 'end' && (token.tag === 'rt' || token.tag === 'ruby')) {
+        rubyTextDepth = 0;
+      } else if (token.type === 'text' && rubyTextDepth === 0) {
+        plain += token.value;
+      }
+    });
+
+    return plain;
+  },
+
+  /**
+   * Split cue text into text, start tag, end tag and timestamp tokens
+   * @param {string} text - Cue text
+   * @returns {Array<Object>} Tokens
+   */
+  tokenize(text) {
+    const tokens = [];
+    const tagPattern = /<(\/?)([^\s>]*)(?:\s+([^>]*))?>/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        tokens.push({ type: 'text', value: this.decodeEntities(text.slice(lastIndex, match.index)) });
+      }
+      lastIndex = tagPattern.lastIndex;
+
+      const [, closing, name, annotation] = match;
+      const [tag, ...classes] = name.split('.');
+
+      // Karaoke timestamps (<00:00:01.000>) carry no visible content
+      if (/^[\d:.]+$/.test(name)) {
+        tokens.push({ type: 'timestamp', value: name });
+      } else if (!this.CONFIG.TAGS[tag]) {
+        continue;
+      } else if (closing) {
+        tokens.push({ type: 'end', tag });
+      } else {
+        tokens.push({
+          type: 'start',
+          tag,
+          classes: classes.filter(Boolean),
+          annotation: annotation ? this.decodeEntities(annotation.trim()) : ''
+        });
+      }
+    }
+
+    if (lastIndex < text.length) {
+      tokens.push({ type: 'text', value: this.decodeEntities(text.slice(lastIndex)) });
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Create the element for a start tag, applying classes and annotations
+   * @param {Object} token - Start tag token
+   * @returns {HTMLElement} Created element
+   */
+  createTagNode(token) {
+    const node = document.createElement(this.CONFIG.TAGS[token.tag]);
+
+    if (token.classes.length > 0) {
+      node.className = token.classes.map(name => this.CONFIG.CLASS_PREFIX + name).join(' ');
+      this.applyColorClasses(node, token.classes);
+    }
+
+    if (token.tag === 'v' && token.annotation) {
+      node.title = token.annotation;
+    } else if (token.tag === 'lang' && token.annotation) {
+      node.lang = token.annotation;
+    }
+
+    return node;
+  },
+
+  /**
+   * Apply WebVTT default colour classes (yellow, bg_black, ...) as inline styles
+   * @param {HTMLElement} node - Target element
+   * @param {Array<string>} classes - Class names from the tag
+   */
+  applyColorClasses(node, classes) {
+    classes.forEach(name => {
+      if (this.CONFIG.COLORS[name]) {
+        node.style.color = this.CONFIG.COLORS[name];
+      } else if (name.startsWith('bg_') && this.CONFIG.COLORS[name.slice(3)]) {
+        node.style.backgroundColor = this.CONFIG.COLORS[name.slice(3)];
+      }
+    });
+  },
+
+  /**
+   * Find the stack index of the innermost open tag with the given name
+   * @param {Array<Object>} stack - Open tag stack
+   * @param {string} tag - Tag name
+   * @returns {number} Stack index, or -1 if not open
+   */
+  findOpenTag(stack, tag) {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) return i;
+    }
+    return -1;
+  },
+
+  /**
+   * Decode named and numeric character references
+   * @param {string} text - Text with entities
+   * @returns {string} Decoded text
+   */
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X'
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+      }
+      const decoded = this.CONFIG.ENTITIES[name.toLowerCase()];
+      return decoded !== undefined ? decoded : entity;
+    });
+  }
+};
+
+
+
+// Make CueTextRenderer globally available for Chrome Extension
+if (typeof window !== 'undefined') {
+  window.CueTextRenderer = CueTextRenderer;
+}
@@ -0,0 +1,144 @@
+/**
+ * Keyboard Shortcuts Module
+ * Registry of in-page hotkeys. Shortcuts are matched on the physical key
+ * (event.code) so they work the same with any keyboard layout and with Alt
+ * held on macOS, where Alt changes the typed character.
+ */
+
+const KeyboardShortcuts = {
+  // Configuration constants
+  CONFIG: {
+    // Elements where keys are text input, not shortcuts
+    TEXT_INPUT_TAGS: ['INPUT', 'TEXTAREA', 'SELECT']
+  },
+
+  // State variables
+  state: {
+    bindings: [],
+    heldBindings: new Set(), // bindings with a release handler whose key is down
+    keydownHandler: null,
+    keyupHandler: null
+  },
+
+  /**
+   * Start listening for shortcuts
+   */
+  init() {
+    Utils.log('Initializing keyboard shortcuts');
+    if (this.state.keydownHandler) return;
+
+    this.state.keydownHandler = event => this.handleKeyDown(event);
+    this.state.keyupHandler = event => this.handleKeyUp(event);
+    // Capture phase so the player's own key handlers don't swallow the keys first
+    document.addEventListener('keydown', this.state.keydownHandler, true);
+    document.addEventListener('keyup', this.state.keyupHandler, true);
+    // Keys released while another window has focus never send keyup
+    window.addEventListener('blur', () => this.releaseAll());
+  },
+
+  /**
+   * Register a shortcut
+   * @param {Object} shortcut - Key combination
+   * @param {string} shortcut.code - Physical key (KeyboardEvent.code, e.g. 'KeyZ')
+   * @param {boolean} shortcut.alt - Alt/Option must be held
+   * @param {boolean} shortcut.shift - Shift must be held
+   * @param {string} shortcut.description - What the shortcut does
+   * @param {Function} handler - Called with the event; return false to let the key through
+   * @param {Function} releaseHandler - Called when a key the handler took is released,
+   *   for hold-to-use shortcuts
+   */
+  register(shortcut, handler, releaseHandler = null) {
+    this.state.bindings.push({
+      code: shortcut.code,
+      alt: !!shortcut.alt,
+      shift: !!shortcut.shift,
+      description: shortcut.description || '',
+      handler,
+      releaseHandler
+    });
+  },
+
+  /**
+   * Run the shortcut matching a key press
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    try {
+      if (event.ctrlKey || event.metaKey || this.isTextInput(event.target)) return;
+
+      const binding = this.state.bindings.find(item =>
+        item.code === event.code && item.alt === event.altKey && item.shift === event.shiftKey
+      );
+      if (!binding) return;
+
+      if (binding.handler(event) === false) return;
+
+      if (binding.releaseHandler) {
+        this.state.heldBindings.add(binding);
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+    } catch (error) {
+      Utils.log(`Error handling shortcut ${event.code}: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Run the release handler of a held shortcut. Modifiers are not checked,
+   * as they may be let go first.
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyUp(event) {
+    try {
+      this.state.heldBindings.forEach(binding => {
+        if (binding.code !== event.code) return;
+
+        this.state.heldBindings.delete(binding);
+        binding.releaseHandler(event);
+        event.preventDefault();
+        event.stopPropagation();
+      });
+    } catch (error) {
+      Utils.log(`Error releasing shortcut ${event.code}: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Release every held shortcut
+   */
+  releaseAll() {
+    this.state.heldBindings.forEach(binding => binding.releaseHandler(null));
+    this.state.heldBindings.clear();
+  },
+
+  /**
+   * Check whether an element takes text input
+   * @param {Element} element - Event target
+   * @returns {boolean} True for form fields and editable content
+   */
+  isTextInput(element) {
+    if (!element || !element.tagName) return false;
+    return this.CONFIG.TEXT_INPUT_TAGS.includes(element.tagName) || !!element.isContentEditable;
+  },
+
+  /**
+   * Describe the registered shortcuts, e.g. for logging
+   * @returns {Array<Object>} Shortcuts ({ keys, description })
+   */
+  getShortcuts() {
+    return this.state.bindings.map(binding => ({
+      keys: [binding.alt && 'Alt', binding.shift && 'Shift', binding.code.replace(/^(Key|Digit)/, '')]
+        .filter(Boolean)
+        .join('+'),
+      description: binding.description
+    }));
+  }
+};
+
+
+
+// Make KeyboardShortcuts globally available for Chrome Extension
+if (typeof window !== 'undefined') {
+  window.KeyboardShortcuts = KeyboardShortcuts;
+}
@@ -0,0 +1,488 @@
+/**
+ * Manifest Parser Module
+ * Handles HLS playlist and DASH MPD parsing for segmented subtitle tracks
+ */
+
+const ManifestParser = {
+  /**
+   * Check if a URL points to an HLS playlist
+   * @param {string} url - URL to check
+   * @returns {boolean} True for .m3u8 URLs
+   */
+  isPlaylistUrl(url) {
+    return !!url && /\.m3u8$/i.test(url.split(/[?#]/)[0]);
+  },
+
+  /**
+   * Check if a URL points to a manifest that may list several subtitle tracks
+   * @param {string} url - URL to check
+   * @returns {boolean} True for .mpd and .m3u8 URLs
+   */
+  isManifestUrl(url) {
+    return !!url && /\.(mpd|m3u8)$/i.test(url.split(/[?#]/)[0]);
+  },
+
+  /**
+   * Check if playlist content is an HLS master (multivariant) playlist
+   * @param {string} text - Playlist content
+   * @returns {boolean} True if the playlist lists renditions rather than segments
+   */
+  isMasterPlaylist(text) {
+    return /^#EXT-X-(STREAM-INF|MEDIA):/m.test(text);
+  },
+
+  /**
+   * Resolve a possibly relative URI against the URL of the document that referenced it
+   * @param {string} uri - Absolute or relative URI
+   * @param {string} baseUrl - URL of the referencing playlist
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(uri, baseUrl) {
+    try {
+      return new URL(uri, baseUrl).href;
+    } catch (error) {
+      Utils.log(`Could not resolve URI "${uri}" against ${baseUrl}`, 'warn');
+      return uri;
+    }
+  },
+
+  /**
+   * Parse an HLS media playlist into its segment list
+   * @param {string} text - Playlist content
+   * @param {string} playlistUrl - Playlist URL (for resolving relative URIs)
+   * @returns {Object} { segments: [{ uri, duration, startTime }], targetDuration, mediaSequence }
+   */
+  parseMediaPlaylist(text, playlistUrl) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim());
+
+    if (lines[0] !== '#EXTM3U') {
+      throw new Error('Invalid playlist: missing #EXTM3U header');
+    }
+
+    if (this.isMasterPlaylist(text)) {
+      throw new Error('Master playlist given - please use a subtitle media playlist');
+    }
+
+    const playlist = {
+      segments: [],
+      targetDuration: 0,
+      mediaSequence: 0
+    };
+    let pendingDuration = null;
+    let startTime = 0;
+
+    for (const line of lines) {
+      if (line === '') continue;
+
+      if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+        playlist.targetDuration = parseFloat(line.split(':')[1]) || 0;
+      } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+        playlist.mediaSequence = parseInt(line.split(':')[1], 10) || 0;
+      } else if (line.startsWith('#EXTINF:')) {
+        pendingDuration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+      } else if (line.startsWith('#EXT-X-MAP:')) {
+        Utils.log('Playlist uses fMP4 segments, which are not supported for subtitles', 'warn');
+      } else if (!line.startsWith('#')) {
+        const duration = pendingDuration !== null ? pendingDuration : playlist.targetDuration;
+
+        playlist.segments.push({
+          uri: this.resolveUrl(line, playlistUrl),
+          duration,
+          startTime
+        });
+
+        startTime += duration;
+        pendingDuration = null;
+      }
+    }
+
+    Utils.log(`Parsed playlist with ${playlist.segments.length} segments (${startTime.toFixed(1)}s)`);
+    return playlist;
+  },
+
+  /**
+   * List the subtitle renditions of a DASH MPD or HLS master playlist
+   * @param {string} text - Manifest content
+   * @param {string} manifestUrl - Manifest URL (for resolving relative URIs)
+   * @returns {Array<Object>} Renditions ({ id, language, name, kind, label, url, segments? })
+   */
+  parseManifest(text, manifestUrl) {
+    if (/<MPD[\s>]/.test(text)) {
+      return this.parseMPD(text, manifestUrl);
+    }
+
+    if (text.replace(/^\uFEFF/, '').trim().startsWith('#EXTM3U')) {
+      if (!this.isMasterPlaylist(text)) {
+        throw new Error('Not a master playlist - it has no subtitle renditions to list');
+      }
+      return this.parseMasterPlaylist(text, manifestUrl);
+    }
+
+    throw new Error('Unrecognised manifest format');
+  },
+
+  /**
+   * List the EXT-X-MEDIA TYPE=SUBTITLES renditions of an HLS master playlist
+   * @param {string} text - Master playlist content
+   * @param {string} playlistUrl - Playlist URL (for resolving relative URIs)
+   * @returns {Array<Object>} Renditions; url is the rendition's media playlist
+   */
+  parseMasterPlaylist(text, playlistUrl) {
+    const renditions = [];
+    const seen = new Set();
+
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line.startsWith('#EXT-X-MEDIA:')) return;
+
+      const attributes = this.parseAttributeList(line.slice('#EXT-X-MEDIA:'.length));
+      if (attributes.TYPE !== 'SUBTITLES' || !attributes.URI) return;
+
+      const url = this.resolveUrl(attributes.URI, playlistUrl);
+      if (seen.has(url)) return;
+      seen.add(url);
+
+      const characteristics = (attributes.CHARACTERISTICS || '').split(',');
+      let kind = 'normal';
+      if (attributes.FORCED === 'YES') {
+        kind = 'forced';
+      } else if (characteristics.includes('public.accessibility.describes-music-and-sound')) {
+        kind = 'sdh';
+      }
+
+      const language = attributes.LANGUAGE || 'und';
+      const name = attributes.NAME || '';
+
+      renditions.push({
+        id: `hls-${renditions.length}`,
+        language,
+        name,
+        kind,
+        label: this.getRenditionLabel(language, name, kind),
+        url
+      });
+    });
+
+    Utils.log(`Found ${renditions.length} subtitle renditions in master playlist`);
+    return renditions;
+  },
+
+  /**
+   * Parse an HLS attribute list (KEY=VALUE,KEY="quoted, value")
+   * @param {string} text - Attribute list
+   * @returns {Object} Attributes by name
+   */
+  parseAttributeList(text) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+
+    return attributes;
+  },
+
+  /**
+   * List the text representations of a DASH MPD with their resolved segments
+   * @param {string} text - MPD content
+   * @param {string} mpdUrl - MPD URL (for resolving relative URIs)
+   * @returns {Array<Object>} Renditions with segments ([{ uri, startTime, duration, timeOffset }])
+   */
+  parseMPD(text, mpdUrl) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const mpd = doc.documentElement;
+
+    if (!mpd || mpd.localName !== 'MPD' || doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid MPD: could not parse XML');
+    }
+
+    const mpdBase = this.getBaseUrl(mpd, mpdUrl);
+    const presentationDuration = this.parseDuration(mpd.getAttribute('mediaPresentationDuration'));
+    const periods = this.getChildren(mpd, 'Period');
+    const renditions = new Map();
+    let periodStart = 0;
+
+    periods.forEach((period, periodIndex) => {
+      const start = period.hasAttribute('start') ? this.parseDuration(period.getAttribute('start')) : periodStart;
+      const nextPeriod = periods[periodIndex + 1];
+      let duration = this.parseDuration(period.getAttribute('duration'));
+
+      if (!duration && nextPeriod && nextPeriod.hasAttribute('start')) {
+        duration = this.parseDuration(nextPeriod.getAttribute('start')) - start;
+      } else if (!duration && presentationDuration) {
+        duration = presentationDuration - start;
+      }
+
+      const periodBase = this.getBaseUrl(period, mpdBase);
+
+      this.getChildren(period, 'AdaptationSet').forEach(adaptationSet => {
+        const setBase = this.getBaseUrl(adaptationSet, periodBase);
+
+        this.getChildren(adaptationSet, 'Representation').forEach(representation => {
+          if (!this.isTextRepresentation(adaptationSet, representation)) return;
+
+          const language = adaptationSet.getAttribute('lang') || representation.getAttribute('lang') || 'und';
+          const labelElement = this.getChildren(adaptationSet, 'Label')[0];
+          const name = labelElement ? labelElement.textContent.trim() : (adaptationSet.getAttribute('label') || '');
+          const kind = this.getMPDKind(adaptationSet);
+          const representationId = representation.getAttribute('id') || '';
+          // Representations continue across periods under the same language and name
+          const key = `${language}|${name}|${kind}|${representationId}`;
+
+          const segments = this.getMPDSegments(
+            adaptationSet,
+            representation,
+            this.getBaseUrl(representation, setBase),
+            start,
+            duration
+          );
+
+          // WebVTT cue times inside a period are relative to the period start
+          segments.forEach(segment => {
+            segment.timeOffset = start;
+          });
+
+          if (!renditions.has(key)) {
+            renditions.set(key, {
+              id: `dash-${renditions.size}`,
+              language,
+              name,
+              kind,
+              label: this.getRenditionLabel(language, name, kind),
+              segments: []
+            });
+          }
+
+          renditions.get(key).segments.push(...segments);
+        });
+      });
+
+      periodStart = start + (duration || 0);
+    });
+
+    const list = Array.from(renditions.values()).filter(rendition => rendition.segments.length > 0);
+    Utils.log(`Found ${list.length} subtitle renditions in MPD`);
+    return list;
+  },
+
+  /**
+   * Check if a DASH representation carries sidecar text subtitles
+   * @param {Element} adaptationSet - AdaptationSet element
+   * @param {Element} representation - Representation element
+   * @returns {boolean} True for WebVTT/TTML text representations
+   */
+  isTextRepresentation(adaptationSet, representation) {
+    const mimeType = representation.getAttribute('mimeType') || adaptationSet.getAttribute('mimeType') || '';
+    const contentType = adaptationSet.getAttribute('contentType') || '';
+
+    if (mimeType === 'text/vtt' || mimeType === 'application/ttml+xml') {
+      return true;
+    }
+
+    if (contentType === 'text' || mimeType === 'application/mp4') {
+      const codecs = representation.getAttribute('codecs') || adaptationSet.getAttribute('codecs') || '';
+      if (/^(wvtt|stpp)/.test(codecs)) {
+        Utils.log(`Skipping fragmented MP4 subtitles (${codecs}), which are not supported`, 'warn');
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Map DASH Role descriptors to a subtitle type
+   * @param {Element} adaptationSet - AdaptationSet element
+   * @returns {string} 'sdh', 'forced' or 'normal'
+   */
+  getMPDKind(adaptationSet) {
+    const roles = this.getChildren(adaptationSet, 'Role').map(role => role.getAttribute('value'));
+
+    if (roles.includes('forced-subtitle')) return 'forced';
+    if (roles.includes('caption')) return 'sdh';
+    return 'normal';
+  },
+
+  /**
+   * Resolve the segment list of a DASH text representation for one period
+   * @param {Element} adaptationSet - AdaptationSet element
+   * @param {Element} representation - Representation element
+   * @param {string} baseUrl - Resolved BaseURL of the representation
+   * @param {number} periodStart - Period start in seconds
+   * @param {number} periodDuration - Period duration in seconds (0 if unknown)
+   * @returns {Array<Object>} Segments ({ uri, startTime, duration })
+   */
+  getMPDSegments(adaptationSet, representation, baseUrl, periodStart, periodDuration) {
+    const template = this.getChildren(representation, 'SegmentTemplate')[0] ||
+      this.getChildren(adaptationSet, 'SegmentTemplate')[0];
+    const segmentList = this.getChildren(representation, 'SegmentList')[0] ||
+      this.getChildren(adaptationSet, 'SegmentList')[0];
+    const variables = {
+      RepresentationID: representation.getAttribute('id') || '',
+      Bandwidth: representation.getAttribute('bandwidth') || ''
+    };
+
+    if (template) {
+      return this.getTemplateSegments(template, variables, baseUrl, periodStart, periodDuration);
+    }
+
+    if (segmentList) {
+      const timescale = parseFloat(segmentList.getAttribute('timescale')) || 1;
+      const duration = (parseFloat(segmentList.getAttribute('duration')) || 0) / timescale;
+
+      return this.getChildren(segmentList, 'SegmentURL').map((segmentUrl, index) => ({
+        uri: this.resolveUrl(segmentUrl.getAttribute('media') || '', baseUrl),
+        startTime: periodStart + index * duration,
+        duration
+      }));
+    }
+
+    // A plain BaseURL is one file covering the whole period
+    return [{ uri: baseUrl, startTime: periodStart, duration: periodDuration }];
+  },
+
+  /**
+   * Expand a DASH SegmentTemplate (with or without SegmentTimeline)
+   * @param {Element} template - SegmentTemplate element
+   * @param {Object} variables - Template identifiers ($RepresentationID$, $Bandwidth$)
+   * @param {string} baseUrl - Resolved BaseURL of the representation
+   * @param {number} periodStart - Period start in seconds
+   * @param {number} periodDuration - Period duration in seconds (0 if unknown)
+   * @returns {Array<Object>} Segments ({ uri, startTime, duration })
+   */
+  getTemplateSegments(template, variables, baseUrl, periodStart, periodDuration) {
+    const media = template.getAttribute('media');
+    if (!media) return [];
+
+    const timescale = parseFloat(template.getAttribute('timescale')) || 1;
+    const startNumber = parseInt(template.getAttribute('startNumber'), 10);
+    const firstNumber = isNaN(startNumber) ? 1 : startNumber;
+    const presentationOffset = (parseFloat(template.getAttribute('presentationTimeOffset')) || 0) / timescale;
+    const timeline = this.getChildren(template, 'SegmentTimeline')[0];
+    const segments = [];
+
+    const addSegment = (number, time, duration) => {
+      segments.push({
+        uri: this.resolveUrl(this.fillTemplate(media, { ...variables, Number: number, Time: time }), baseUrl),
+        startTime: periodStart + time / timescale - presentationOffset,
+        duration: duration / timescale
+      });
+    };
+
+    if (timeline) {
+      const periodEnd = periodDuration ? (presentationOffset + periodDuration) * timescale : Infinity;
+      let number = firstNumber;
+      let time = 0;
+
+      this.getChildren(timeline, 'S').forEach((entry, index, entries) => {
+        if (entry.hasAttribute('t')) time = parseFloat(entry.getAttribute('t'));
+        const duration = parseFloat(entry.getAttribute('d')) || 0;
+        let repeat = parseInt(entry.getAttribute('r'), 10) || 0;
+
+        // r="-1" repeats until the next S element or the end of the period
+        if (repeat < 0 && duration > 0) {
+          const next = entries[index + 1];
+          const end = next && next.hasAttribute('t') ? parseFloat(next.getAttribute('t')) : periodEnd;
+          repeat = isFinite(end) ? Math.ceil((end - time) / duration) - 1 : 0;
+        }
+
+        for (let i = 0; i <= repeat; i++) {
+          addSegment(number++, time, duration);
+          time += duration;
+        }
+      });
+
+      return segments;
+    }
+
+    const duration = parseFloat(template.getAttribute('duration'));
+    if (!duration) {
+      // Single file described only by its media URL
+      addSegment(firstNumber, 0, periodDuration * timescale);
+      return segments;
+    }
+
+    const count = periodDuration ? Math.ceil(periodDuration * timescale / duration) : 1;
+    for (let i = 0; i < count; i++) {
+      addSegment(firstNumber + i, presentationOffset * timescale + i * duration, duration);
+    }
+
+    return segments;
+  },
+
+  /**
+   * Substitute DASH template identifiers ($Number%05d$, $Time$, $$)
+   * @param {string} media - Media template
+   * @param {Object} values - Identifier values
+   * @returns {string} Filled URI
+   */
+  fillTemplate(media, values) {
+    return media.replace(/\$(\w*)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+      if (name === '') return '$';
+      if (values[name] === undefined) return match;
+
+      const value = String(values[name]);
+      return width ? value.padStart(parseInt(width, 10), '0') : value;
+    });
+  },
+
+  /**
+   * Resolve the BaseURL child of an MPD element against its parent's base
+   * @param {Element} element - MPD, Period, AdaptationSet or Representation
+   * @param {string} parentBase - Parent base URL
+   * @returns {string} Resolved base URL
+   */
+  getBaseUrl(element, parentBase) {
+    const baseElement = this.getChildren(element, 'BaseURL')[0];
+    return baseElement ? this.resolveUrl(baseElement.textContent.trim(), parentBase) : parentBase;
+  },
+
+  /**
+   * Get direct child elements by local name (namespace-agnostic)
+   * @param {Element} element - Parent element
+   * @param {string} name - Local name
+   * @returns {Array<Element>} Matching children
+   */
+  getChildren(element, name) {
+    return Array.from(element.children).filter(child => child.localName === name);
+  },
+
+  /**
+   * Parse an ISO 8601 duration such as PT1H2M3.5S
+   * @param {string} value - Duration string
+   * @returns {number} Seconds (0 if missing or invalid)
+   */
+  parseDuration(value) {
+    if (!value) return 0;
+
+    const match = value.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!match) return 0;
+
+    const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  },
+
+  /**
+   * Build a readable rendition name, e.g. "English [en] - SDH"
+   * @param {string} language - Language tag
+   * @param {string} name - Name given by the manifest
+   * @param {string} kind - 'sdh', 'forced' or 'normal'
+   * @returns {string} Label
+   */
+  getRenditionLabel(language, name, kind) {
+    let label = name || language;
+    if (name && language !== 'und') label += ` [${language}]`;
+
+    if (kind === 'sdh') return `${label} - SDH`;
+    if (kind === 'forced') return `${label} - Forced`;
+    return label;
+  }
+};
+
+
+
+// Make ManifestParser globally available for Chrome Extension
+if (typeof window !== 'undefined') {
+  window.ManifestParser = ManifestParser;
+}
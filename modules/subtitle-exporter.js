@@ -0,0 +1,297 @@
+/**
+ * Subtitle Exporter Module
+ * Writes the loaded Subtitle 1 and Subtitle 2 cues as one combined subtitle
+ * file (dual-line WebVTT, SubRip, or ASS with a style per track) and
+ * downloads it
+ */
+
+const SubtitleExporter = {
+  // Configuration constants
+  CONFIG: {
+    FORMATS: {
+      vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+      srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+      ass: { extension: 'ass', mimeType: 'text/x-ssa' }
+    },
+    // Tags kept in SubRip output; other markup is dropped
+    SRT_TAGS: ['i', 'b', 'u'],
+    ASS: {
+      PLAY_RES_X: 1280,
+      PLAY_RES_Y: 720,
+      FONT_NAME: 'Arial',
+      FONT_SIZE: 44,
+      // Subtitle 1 sits above Subtitle 2, as in the overlay
+      STYLES: {
+        subtitle1: { name: 'Subtitle1', color: '&H0000D7FF', marginV: 90 }, // #FFD700
+        subtitle2: { name: 'Subtitle2', color: '&H00FFFFFF', marginV: 30 }
+      }
+    }
+  },
+
+  /**
+   * Build the combined file
+   * @param {Array} subtitle1 - Subtitle 1 cues
+   * @param {Array} subtitle2 - Subtitle 2 cues
+   * @param {string} format - 'vtt', 'srt' or 'ass'
+   * @param {Object} options - Export options
+   * @param {Object} options.offsets - Delay per track ({ subtitle1, subtitle2 }) added to cue times
+   * @param {string} options.title - Title written into the ASS header
+   * @returns {string} File content
+   */
+  build(subtitle1, subtitle2, format, { offsets = {}, title = '' } = {}) {
+    switch (format) {
+      case 'srt':
+        return this.toSRT(this.getPairs(subtitle1, subtitle2, offsets));
+      case 'ass':
+        return this.toASS(
+          this.shiftCues(subtitle1, offsets.subtitle1),
+          this.shiftCues(subtitle2, offsets.subtitle2),
+          title
+        );
+      case 'vtt':
+        return this.toVTT(this.getPairs(subtitle1, subtitle2, offsets));
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  },
+
+  /**
+   * Group both tracks into bilingual pairs for single-track formats
+   * @param {Array} subtitle1 - Subtitle 1 cues
+   * @param {Array} subtitle2 - Subtitle 2 cues
+   * @param {Object} offsets - Delay per track
+   * @returns {Array} Pairs that end after 0s ({ startTime, endTime, subtitle1, subtitle2 })
+   */
+  getPairs(subtitle1, subtitle2, offsets) {
+    return SubtitleParser.pairCues(subtitle1, subtitle2, { offsets })
+      .filter(pair => pair.endTime > 0)
+      .map(pair => ({ ...pair, startTime: Math.max(0, pair.startTime) }));
+  },
+
+  /**
+   * Apply a delay to cue times, dropping cues that end before 0s
+   * @param {Array} cues - Cues
+   * @param {number} offset - Delay in seconds
+   * @returns {Array} Shifted copies of the cues
+   */
+  shiftCues(cues, offset = 0) {
+    return (cues || [])
+      .map(cue => ({
+        ...cue,
+        startTime: Math.max(0, cue.startTime + offset),
+        endTime: cue.endTime + offset
+      }))
+      .filter(cue => cue.endTime > cue.startTime);
+  },
+
+  /**
+   * Write pairs as dual-line WebVTT: Subtitle 1 lines, then Subtitle 2 lines
+   * @param {Array} pairs - Bilingual pairs
+   * @returns {string} WebVTT content
+   */
+  toVTT(pairs) {
+    const blocks = pairs.map(pair => {
+      const text = pair.subtitle1.concat(pair.subtitle2).map(cue => this.toVTTText(cue.text)).join('\n');
+      return `${this.formatTime(pair.startTime, '.')} --> ${this.formatTime(pair.endTime, '.')}\n${text}`;
+    });
+
+    return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+  },
+
+  /**
+   * Write pairs as SubRip: Subtitle 1 lines, then Subtitle 2 lines
+   * @param {Array} pairs - Bilingual pairs
+   * @returns {string} SubRip content
+   */
+  toSRT(pairs) {
+    const blocks = pairs.map((pair, index) => {
+      const text = pair.subtitle1.concat(pair.subtitle2).map(cue => this.toSRTText(cue.text)).join('\n');
+      return `${index + 1}\n${this.formatTime(pair.startTime, ',')} --> ${this.formatTime(pair.endTime, ',')}\n${text}`;
+    });
+
+    return `${blocks.join('\n\n')}\n`;
+  },
+
+  /**
+   * Write both tracks as ASS with one style per track, each cue keeping its own timing
+   * @param {Array} subtitle1 - Subtitle 1 cues
+   * @param {Array} subtitle2 - Subtitle 2 cues
+   * @param {string} title - Script title
+   * @returns {string} ASS content
+   */
+  toASS(subtitle1, subtitle2, title) {
+    const { ASS } = this.CONFIG;
+    const styleLine = style => [
+      `Style: ${style.name}`, ASS.FONT_NAME, ASS.FONT_SIZE, style.color, '&H000000FF', '&H00000000', '&H80000000',
+      0, 0, 0, 0, 100, 100, 0, 0, 1, 2, 1, 2, 20, 20, style.marginV, 1
+    ].join(',');
+
+    const events = [
+      ...subtitle1.map(cue => ({ cue, style: ASS.STYLES.subtitle1.name })),
+      ...subtitle2.map(cue => ({ cue, style: ASS.STYLES.subtitle2.name }))
+    ]
+      .sort((a, b) => a.cue.startTime - b.cue.startTime)
+      .map(({ cue, style }) =>
+        `Dialogue: 0,${this.formatASSTime(cue.startTime)},${this.formatASSTime(cue.endTime)},${style},,0,0,0,,${this.toASSText(cue)}`
+      );
+
+    return [
+      '[Script Info]',
+      `Title: ${title.replace(/[\r\n]+/g, ' ')}`,
+      'ScriptType: v4.00+',
+      `PlayResX: ${ASS.PLAY_RES_X}`,
+      `PlayResY: ${ASS.PLAY_RES_Y}`,
+      'WrapStyle: 0',
+      'ScaledBorderAndShadow: yes',
+      '',
+      '[V4+ Styles]',
+      'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, ' +
+        'Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, ' +
+        'Alignment, MarginL, MarginR, MarginV, Encoding',
+      styleLine(ASS.STYLES.subtitle1),
+      styleLine(ASS.STYLES.subtitle2),
+      '',
+      '[Events]',
+      'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+      ...events,
+      ''
+    ].join('\n');
+  },
+
+  /**
+   * Re-serialize cue text as valid WebVTT (escaping plain text from other formats)
+   * @param {string} text - Cue text
+   * @returns {string} WebVTT cue text
+   */
+  toVTTText(text) {
+    const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return CueTextRenderer.tokenize(text || '').map(token => {
+      if (token.type === 'text') return escape(token.value);
+      if (token.type === 'end') return `</${token.tag}>`;
+      if (token.type === 'start') {
+        const name = [token.tag, ...token.classes].join('.');
+        return token.annotation ? `<${name} ${escape(token.annotation)}>` : `<${name}>`;
+      }
+      return '';
+    }).join('').replace(/\n{2,}/g, '\n');
+  },
+
+  /**
+   * Convert cue text to SubRip, keeping italic, bold and underline
+   * @param {string} text - Cue text
+   * @returns {string} SubRip text
+   */
+  toSRTText(text) {
+    return this.toTaggedText(text, tag => `<${tag}>`, tag => `</${tag}>`).replace(/\n{2,}/g, '\n');
+  },
+
+  /**
+   * Convert a cue to an ASS event text, keeping italic, bold and underline
+   * @param {Object} cue - Cue (ASS cues carry a style object)
+   * @returns {string} ASS text
+   */
+  toASSText(cue) {
+    const text = this.toTaggedText(
+      cue.text,
+      tag => `{\\${tag}1}`,
+      tag => `{\\${tag}0}`,
+      // Braces start override blocks in ASS
+      value => value.replace(/\{/g, '(').replace(/\}/g, ')').replace(/\n+/g, '\\N')
+    );
+
+    // Cue-wide styling parsed from an ASS source
+    const style = cue.style || {};
+    const overrides = [style.italic && '\\i1', style.bold && '\\b1', style.underline && '\\u1']
+      .filter(Boolean)
+      .join('');
+
+    return overrides ? `{${overrides}}${text}` : text;
+  },
+
+  /**
+   * Rebuild cue text keeping only italic, bold and underline tags
+   * @param {string} text - Cue text
+   * @param {Function} open - Builds the opening tag for 'i', 'b' or 'u'
+   * @param {Function} close - Builds the closing tag
+   * @param {Function} escape - Converts plain text runs
+   * @returns {string} Converted text
+   */
+  toTaggedText(text, open, close, escape = value => value) {
+    let rubyTextDepth = 0;
+
+    return CueTextRenderer.tokenize(text || '').map(token => {
+      if (token.type === 'start' && token.tag === 'rt') rubyTextDepth++;
+      if (token.type === 'end' && (token.tag === 'rt' || token.tag === 'ruby')) rubyTextDepth = 0;
+
+      if (token.type === 'text') return rubyTextDepth === 0 ? escape(token.value) : '';
+      if (!this.CONFIG.SRT_TAGS.includes(token.tag)) return '';
+      return token.type === 'start' ? open(token.tag) : close(token.tag);
+    }).join('');
+  },
+
+  /**
+   * Format seconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SubRip)
+   * @param {number} seconds - Time in seconds
+   * @param {string} separator - Millisecond separator
+   * @returns {string} Timestamp
+   */
+  formatTime(seconds, separator) {
+    const milliseconds = Math.round(Math.max(0, seconds) * 1000);
+    return Utils.secondsToTime(milliseconds / 1000).replace('.', separator);
+  },
+
+  /**
+   * Format seconds as H:MM:SS.cc (ASS)
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Timestamp
+   */
+  formatASSTime(seconds) {
+    const centiseconds = Math.round(Math.max(0, seconds) * 100);
+    const hours = Math.floor(centiseconds / 360000);
+    const minutes = Math.floor((centiseconds % 360000) / 6000);
+    const secs = Math.floor((centiseconds % 6000) / 100);
+    const fraction = centiseconds % 100;
+    const pad = value => value.toString().padStart(2, '0');
+
+    return `${hours}:${pad(minutes)}:${pad(secs)}.${pad(fraction)}`;
+  },
+
+  /**
+   * Build a download file name from the title
+   * @param {string} title - Title name
+   * @param {string} format - Export format
+   * @returns {string} File name
+   */
+  getFileName(title, format) {
+    const name = (title || 'subtitles').replace(/[\\/:*?"<>|]+/g, ' ').replace(/\s+/g, ' ').trim();
+    return `${name || 'subtitles'} (dual).${this.CONFIG.FORMATS[format].extension}`;
+  },
+
+  /**
+   * Save content as a file through the browser's downloads
+   * @param {string} content - File content
+   * @param {string} fileName - File name
+   * @param {string} format - Export format
+   */
+  download(content, fileName, format) {
+    const blob = new Blob([content], { type: `${this.CONFIG.FORMATS[format].mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = Utils.createElement('a', { href: url, download: fileName });
+
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+
+
+// Make SubtitleExporter globally available for Chrome Extension
+if (typeof window !== 'undefined') {
+  window.SubtitleExporter = SubtitleExporter;
+}
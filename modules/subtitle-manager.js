@@ -8,23 +8,93 @@ const SubtitleManager = {
   state: {
     subtitle1Subtitles: [],
     subtitle2Subtitles: [],
+    subtitle1Index: null,
+    subtitle2Index: null,
     videoElement: null,
     isActive: false,
     lastSubtitle1Text: '',
     lastSubtitle2Text: '',
+    lastSubtitle1Cues: [],
+    lastSubtitle2Cues: [],
+    collapsedDuplicates: {
+      subtitle1: 0,
+      subtitle2: 0
+    },
     currentTime: 0,
-    timeUpdateHandler: null,
+    // Per-track delay in seconds; positive values show cues later
+    offsets: {
+      subtitle1: 0,
+      subtitle2: 0
+    },
+    // Per-track retiming ({ scale, offset }) applied to the loaded cues
+    corrections: {
+      subtitle1: null,
+      subtitle2: null
+    },
+    // Key of the source each track was loaded from; corrections are tied to it
+    sources: {
+      subtitle1: null,
+      subtitle2: null
+    },
+    // Tracks hidden from the overlay with the visibility shortcuts
+    hiddenTracks: {
+      subtitle1: false,
+      subtitle2: false
+    },
+    revealKeyHeld: false, // reveal key held down to show concealed tracks
+    displayMode: 'separate', // 'separate' or 'paired'
+    // Study mode pauses playback as each Subtitle 1 line ends
+    study: {
+      enabled: false,
+      resumeDelay: 0, // seconds before playback resumes by itself; 0 waits for a key
+      minCueLength: 1, // seconds; shorter lines play through
+      isPaused: false,
+      lastTime: null,
+      resumeTimeout: null
+    },
+    pairIndex: null, // lookup index of bilingual pairs, rebuilt when cues or delays change
+    resyncTrack: 'subtitle2', // track retimed by two-point resync
+    resyncPoints: [], // pending marks of a two-point resync ({ track, cueStart, text, time })
+    loadGeneration: 0,
+    isLoading: false,
+    segmentProgress: {
+      subtitle1: null,
+      subtitle2: null
+    },
+    progressHandler: null,
+    titleId: null,
+    titleWatchInterval: null,
+    saveTitleHandler: null,
+    videoEventHandler: null,
+    frameCallbackId: null,
+    syncUsesVideoFrames: false,
     cleanupInterval: null // Added for enhanced cleanup
   },
 
   // Configuration
   CONFIG: {
     VIDEO_SELECTOR: 'video[data-testid="VideoElement"]',
-    TIME_UPDATE_INTERVAL: 100, // milliseconds
-    TOLERANCE: 0.1, // seconds
+    // Playback events that re-sync at once instead of waiting for the next frame
+    SYNC_EVENTS: ['seeking', 'seeked', 'pause', 'play', 'ratechange'],
     MAX_RETRY_ATTEMPTS: 3,
     RETRY_DELAY: 1000, // milliseconds
-    CLEANUP_INTERVAL: 30000 // 30 seconds
+    SEGMENT_CONCURRENCY: 4, // parallel segment requests per track
+    PROGRESS_INTERVAL: 250, // milliseconds between progress status writes
+    CLEANUP_INTERVAL: 30000, // 30 seconds
+    TITLE_CHECK_INTERVAL: 1000, // milliseconds between player URL checks
+    TITLE_SAVE_DELAY: 1000, // milliseconds
+    VIDEO_WAIT_TIMEOUT: 15000, // milliseconds to wait for the player before auto-start
+    OFFSET_STEP: 0.1, // seconds per delay shortcut press
+    OFFSET_STEP_LARGE: 1, // seconds per delay shortcut press with Shift
+    MAX_OFFSET: 600, // seconds
+    MIN_SYNC_CONFIDENCE: 0.3, // share of cues that must match for auto-sync to apply
+    MIN_RESYNC_GAP: 10, // seconds between the two lines of a two-point resync
+    MAX_RESYNC_SCALE_CHANGE: 0.2, // largest speed change two-point resync accepts
+    RESYNC_TOAST_DURATION: 6000, // milliseconds a pending resync mark stays on screen
+    MAX_CORRECTION_HISTORY: 10, // undo steps kept per track
+    SEEK_MARGIN: 0.05, // seconds past a line's start to seek to, so the line is on screen
+    STUDY_PAUSE_LEAD: 0.15, // seconds before a line ends that study mode pauses, so it stays on screen
+    STUDY_MAX_STEP: 1 // seconds between frames beyond which a time change counts as a seek
   },
 
   /**
@@ -33,7 +103,612 @@ const SubtitleManager = {
   init() {
     Utils.log('Initializing subtitle manager');
     this.setupStorageListener();
+    this.setupCommandListener();
     this.setupPeriodicCleanup();
+    this.setupTitleWatcher();
+    this.setupShortcuts();
+    this.setupTranscript();
+    this.loadTimingSettings();
+    this.loadDisplayMode();
+    this.loadStudySettings();
+  },
+
+  /**
+   * Register the in-page shortcuts:
+   * - Alt+Z / Alt+X move Subtitle 1 earlier / later and Alt+C / Alt+V do the
+   *   same for Subtitle 2 (holding Shift uses the large step)
+   * - Alt+M marks the line being spoken for two-point resync, Alt+[ / Alt+]
+   *   pick the previous / next line for the latest mark, Alt+Enter applies
+   *   the two marks and Escape drops them, Alt+U undoes a correction
+   * - Alt+T opens or closes the transcript panel
+   * - Alt+, / Alt+. / Alt+R jump to the previous / next line or replay the
+   *   current one, Alt+1 / Alt+2 show or hide a subtitle (these are also
+   *   manifest commands, which take precedence while bound in Chrome)
+   * - Alt+S turns study mode on or off, and Space continues after a study pause
+   * - Holding H shows tracks concealed by reveal mode
+   */
+  setupShortcuts() {
+    const keys = [
+      { track: 'subtitle1', earlier: 'KeyZ', later: 'KeyX' },
+      { track: 'subtitle2', earlier: 'KeyC', later: 'KeyV' }
+    ];
+
+    keys.forEach(({ track, earlier, later }) => {
+      const label = track === 'subtitle1' ? 'Subtitle 1' : 'Subtitle 2';
+
+      [false, true].forEach(shift => {
+        const step = shift ? this.CONFIG.OFFSET_STEP_LARGE : this.CONFIG.OFFSET_STEP;
+
+        KeyboardShortcuts.register(
+          { code: earlier, alt: true, shift, description: `Show ${label} ${step}s earlier` },
+          () => this.state.isActive ? this.adjustOffset(track, -step) : false
+        );
+        KeyboardShortcuts.register(
+          { code: later, alt: true, shift, description: `Show ${label} ${step}s later` },
+          () => this.state.isActive ? this.adjustOffset(track, step) : false
+        );
+      });
+    });
+
+    KeyboardShortcuts.register(
+      { code: 'KeyM', alt: true, description: 'Mark the line being spoken (two-point resync)' },
+      () => this.state.isActive ? this.markResyncPoint() : false
+    );
+    KeyboardShortcuts.register(
+      { code: 'BracketLeft', alt: true, description: 'Mark the previous line instead' },
+      () => this.state.resyncPoints.length > 0 ? this.stepResyncPoint(-1) : false
+    );
+    KeyboardShortcuts.register(
+      { code: 'BracketRight', alt: true, description: 'Mark the next line instead' },
+      () => this.state.resyncPoints.length > 0 ? this.stepResyncPoint(1) : false
+    );
+    KeyboardShortcuts.register(
+      { code: 'Enter', alt: true, description: 'Apply the two-point resync' },
+      () => this.state.resyncPoints.length > 0 ? this.confirmResync() : false
+    );
+    KeyboardShortcuts.register(
+      { code: 'Escape', description: 'Cancel the two-point resync' },
+      () => this.state.resyncPoints.length > 0 ? this.cancelResync() : false
+    );
+    KeyboardShortcuts.register(
+      { code: 'KeyU', alt: true, description: 'Undo the last timing correction' },
+      () => this.state.isActive ? this.undoCorrection(this.getResyncTrack()) : false
+    );
+    KeyboardShortcuts.register(
+      { code: 'KeyT', alt: true, description: 'Show or hide the transcript' },
+      () => this.state.isActive ? TranscriptPanel.toggle() : false
+    );
+
+    const commands = [
+      { code: 'Comma', command: 'previous-line', description: 'Jump to the previous line' },
+      { code: 'Period', command: 'next-line', description: 'Jump to the next line' },
+      { code: 'KeyR', command: 'replay-line', description: 'Replay the current line' },
+      { code: 'Digit1', command: 'toggle-subtitle-1', description: 'Show or hide Subtitle 1' },
+      { code: 'Digit2', command: 'toggle-subtitle-2', description: 'Show or hide Subtitle 2' }
+    ];
+
+    commands.forEach(({ code, command, description }) => {
+      KeyboardShortcuts.register({ code, alt: true, description }, () => this.handleShortcutCommand(command));
+    });
+
+    KeyboardShortcuts.register(
+      { code: 'KeyS', alt: true, description: 'Turn study mode on or off' },
+      () => this.state.isActive ? this.toggleStudyMode() : false
+    );
+    // Only while study mode holds the video; otherwise Space reaches the player
+    KeyboardShortcuts.register(
+      { code: 'Space', description: 'Continue after a study pause' },
+      () => this.state.study.isPaused ? this.resumeFromStudy() : false
+    );
+    KeyboardShortcuts.register(
+      { code: 'KeyH', description: 'Hold to show concealed subtitles' },
+      () => this.state.isActive && SubtitleOverlay.hasRevealMode() ? this.setRevealKeyHeld(true) : false,
+      () => this.setRevealKeyHeld(false)
+    );
+  },
+
+  /**
+   * Show or re-conceal the concealed tracks as the reveal key is held and released
+   * @param {boolean} held - Whether the key is down
+   */
+  setRevealKeyHeld(held) {
+    this.state.revealKeyHeld = held;
+    this.updateReveal(this.state.currentTime);
+  },
+
+  /**
+   * Reveal concealed tracks while the reveal key is held or once every
+   * active line of the track is half over
+   * @param {number} currentTime - Video time in seconds
+   * @param {Object} activeCues - Active cues per track ({ subtitle1, subtitle2 }),
+   *   looked up if not given
+   */
+  updateReveal(currentTime, activeCues = null) {
+    if (!SubtitleOverlay.hasRevealMode()) return;
+
+    ['subtitle1', 'subtitle2'].forEach(track => {
+      const offset = this.state.offsets[track];
+      const cues = activeCues
+        ? activeCues[track]
+        : SubtitleParser.findActiveCues(this.state[`${track}Index`], currentTime - offset);
+      const isHalfOver = cues.length > 0 &&
+        cues.every(cue => currentTime - offset >= (cue.startTime + cue.endTime) / 2);
+
+      SubtitleOverlay.setRevealed(track, this.state.revealKeyHeld || isHalfOver);
+    });
+  },
+
+  /**
+   * Listen for the manifest keyboard commands relayed by the background worker
+   */
+  setupCommandListener() {
+    chrome.runtime.onMessage.addListener(message => {
+      if (message && message.type === 'shortcut') {
+        this.handleShortcutCommand(message.command);
+      }
+    });
+  },
+
+  /**
+   * Run a line navigation or visibility command
+   * @param {string} command - Command name from the manifest
+   * @returns {boolean|undefined} False if subtitles are not shown, so the key passes through
+   */
+  handleShortcutCommand(command) {
+    if (!this.state.isActive) return false;
+
+    switch (command) {
+      case 'previous-line':
+        this.jumpToLine(-1);
+        break;
+      case 'next-line':
+        this.jumpToLine(1);
+        break;
+      case 'replay-line':
+        this.jumpToLine(0);
+        break;
+      case 'toggle-subtitle-1':
+        this.toggleTrackVisibility('subtitle1');
+        break;
+      case 'toggle-subtitle-2':
+        this.toggleTrackVisibility('subtitle2');
+        break;
+      default:
+        Utils.log(`Unknown shortcut command: ${command}`, 'warn');
+        return false;
+    }
+  },
+
+  /**
+   * Let transcript rows seek the video
+   */
+  setupTranscript() {
+    TranscriptPanel.setSeekHandler(time => this.seekToLine(time));
+  },
+
+  /**
+   * Pass the loaded cues and delays to the transcript panel
+   */
+  updateTranscript() {
+    TranscriptPanel.setCues(this.state.subtitle1Subtitles, this.state.subtitle2Subtitles, this.state.offsets);
+  },
+
+  /**
+   * Seek the video
+   * @param {number} time - Video time in seconds
+   */
+  seekTo(time) {
+    const video = this.state.videoElement;
+    if (!video || !this.state.isActive) return;
+
+    video.currentTime = time;
+    Utils.log(`Seeked to ${Utils.secondsToTime(time)}`);
+  },
+
+  /**
+   * Seek to just after the start of a line
+   * @param {number} startTime - Line start on screen, in seconds
+   */
+  seekToLine(startTime) {
+    this.seekTo(Math.max(0, startTime + this.CONFIG.SEEK_MARGIN));
+  },
+
+  /**
+   * Get the lines that navigation steps through, in on-screen time: the
+   * bilingual pairs in paired mode, otherwise Subtitle 1 (or Subtitle 2 if
+   * Subtitle 1 has no cues)
+   * @returns {Array} Lines ({ startTime, endTime }) in start order
+   */
+  getNavigationLines() {
+    if (this.state.displayMode === 'paired') {
+      return this.getPairIndex().cues;
+    }
+
+    const track = this.getPrimaryTrack();
+    const index = this.state[`${track}Index`];
+    const offset = this.state.offsets[track];
+
+    return index ? index.cues.map(cue => ({ startTime: cue.startTime + offset, endTime: cue.endTime + offset })) : [];
+  },
+
+  /**
+   * Get the track that line navigation and study mode follow
+   * @returns {string} 'subtitle1', or 'subtitle2' if Subtitle 1 has no cues
+   */
+  getPrimaryTrack() {
+    return this.state.subtitle1Subtitles.length > 0 ? 'subtitle1' : 'subtitle2';
+  },
+
+  /**
+   * Jump to the previous or next line, or replay the current one. Between
+   * lines, the line that just ended counts as current.
+   * @param {number} direction - -1 for previous, 1 for next, 0 to replay
+   */
+  jumpToLine(direction) {
+    const video = this.state.videoElement;
+    if (!video) return;
+
+    const lines = this.getNavigationLines();
+    const time = video.currentTime;
+
+    // Last line that has started; it is still on screen unless we are in a gap
+    let current = -1;
+    while (current + 1 < lines.length && lines[current + 1].startTime <= time) current++;
+
+    const isOnScreen = current >= 0 && time < lines[current].endTime;
+    let target;
+
+    if (direction > 0) {
+      target = current + 1;
+    } else if (direction < 0) {
+      target = isOnScreen ? current - 1 : current;
+    } else {
+      target = current;
+    }
+
+    const line = lines[target];
+    if (!line) {
+      SubtitleOverlay.showToast(direction > 0 ? 'No next line' : 'No earlier line');
+      return;
+    }
+
+    this.seekToLine(line.startTime);
+  },
+
+  /**
+   * Show or hide one subtitle on the overlay
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   */
+  toggleTrackVisibility(track) {
+    const label = track === 'subtitle1' ? 'Subtitle 1' : 'Subtitle 2';
+
+    this.state.hiddenTracks[track] = !this.state.hiddenTracks[track];
+    SubtitleOverlay.showToast(`${label} ${this.state.hiddenTracks[track] ? 'hidden' : 'shown'}`);
+    this.refreshOverlay();
+  },
+
+  /**
+   * Get the storage key holding a track's delay
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @returns {string} Storage key
+   */
+  getOffsetKey(track) {
+    return track === 'subtitle1' ? 'offsetSub1' : 'offsetSub2';
+  },
+
+  /**
+   * Get the storage key holding a track's timing correction
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @returns {string} Storage key
+   */
+  getCorrectionKey(track) {
+    return track === 'subtitle1' ? 'correctionSub1' : 'correctionSub2';
+  },
+
+  /**
+   * Load the stored subtitle delays and timing corrections
+   */
+  async loadTimingSettings() {
+    try {
+      const result = await chrome.storage.local.get([
+        'offsetSub1', 'offsetSub2', 'correctionSub1', 'correctionSub2', 'resyncTrack'
+      ]);
+      this.state.offsets = {
+        subtitle1: result.offsetSub1 || 0,
+        subtitle2: result.offsetSub2 || 0
+      };
+      this.state.corrections = {
+        subtitle1: result.correctionSub1 || null,
+        subtitle2: result.correctionSub2 || null
+      };
+      this.state.resyncTrack = result.resyncTrack || 'subtitle2';
+    } catch (error) {
+      Utils.log(`Error loading subtitle timing: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Load the stored study mode settings
+   */
+  async loadStudySettings() {
+    try {
+      const result = await chrome.storage.local.get(['studyMode', 'studyResumeDelay', 'studyMinCueLength']);
+      this.applyStudySettings(result);
+    } catch (error) {
+      Utils.log(`Error loading study mode: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Apply study mode settings from storage values
+   * @param {Object} settings - Any of studyMode, studyResumeDelay, studyMinCueLength
+   */
+  applyStudySettings(settings) {
+    const { study } = this.state;
+
+    if ('studyMode' in settings) {
+      study.enabled = !!settings.studyMode;
+      if (!study.enabled && study.isPaused) {
+        this.clearStudyPause();
+      }
+    }
+    if ('studyResumeDelay' in settings) {
+      study.resumeDelay = Math.max(0, Number(settings.studyResumeDelay) || 0);
+    }
+    if ('studyMinCueLength' in settings) {
+      const minCueLength = Number(settings.studyMinCueLength);
+      study.minCueLength = minCueLength >= 0 ? minCueLength : 1;
+    }
+
+    this.updateStudyIndicator();
+  },
+
+  /**
+   * Turn study mode on or off; the storage listener applies the change
+   */
+  toggleStudyMode() {
+    chrome.storage.local.set({ studyMode: !this.state.study.enabled });
+  },
+
+  /**
+   * Pause as a long enough primary line reaches its end during normal playback
+   * @param {number} currentTime - Video time in seconds
+   */
+  checkStudyPause(currentTime) {
+    const { study } = this.state;
+    const video = this.state.videoElement;
+
+    // Playback resumed from the player's own controls
+    if (study.isPaused && !video.paused) {
+      this.clearStudyPause();
+    }
+
+    const previousTime = study.lastTime;
+    study.lastTime = video.paused ? null : currentTime;
+
+    if (!study.enabled || video.paused || previousTime === null) return;
+
+    const step = currentTime - previousTime;
+    if (step <= 0 || step > this.CONFIG.STUDY_MAX_STEP) return;
+
+    const track = this.getPrimaryTrack();
+    const offset = this.state.offsets[track];
+    const endingLine = SubtitleParser.findActiveCues(this.state[`${track}Index`], previousTime - offset).find(cue => {
+      const pauseTime = cue.endTime + offset - this.CONFIG.STUDY_PAUSE_LEAD;
+      return cue.endTime - cue.startTime >= study.minCueLength && pauseTime > previousTime && pauseTime <= currentTime;
+    });
+
+    if (endingLine) {
+      this.pauseForStudy();
+    }
+  },
+
+  /**
+   * Pause the video at the end of a line and schedule the automatic resume
+   */
+  pauseForStudy() {
+    const { study } = this.state;
+
+    this.state.videoElement.pause();
+    study.isPaused = true;
+    study.lastTime = null;
+
+    clearTimeout(study.resumeTimeout);
+    if (study.resumeDelay > 0) {
+      study.resumeTimeout = setTimeout(() => this.resumeFromStudy(), study.resumeDelay * 1000);
+    }
+
+    this.updateStudyIndicator();
+  },
+
+  /**
+   * Continue playback after a study pause
+   */
+  resumeFromStudy() {
+    const video = this.state.videoElement;
+    this.clearStudyPause();
+
+    if (video && video.paused) {
+      Promise.resolve(video.play()).catch(error => {
+        Utils.log(`Error resuming playback: ${error.message}`, 'warn');
+      });
+    }
+  },
+
+  /**
+   * Forget a pending study pause
+   */
+  clearStudyPause() {
+    const { study } = this.state;
+
+    clearTimeout(study.resumeTimeout);
+    study.resumeTimeout = null;
+    study.isPaused = false;
+    this.updateStudyIndicator();
+  },
+
+  /**
+   * Show whether study mode is on (and waiting) in the corner of the video
+   */
+  updateStudyIndicator() {
+    const { study } = this.state;
+    let text = '';
+
+    if (study.enabled && this.state.isActive) {
+      if (!study.isPaused) {
+        text = 'Study mode';
+      } else if (study.resumeDelay > 0) {
+        text = `Study mode · continues in ${study.resumeDelay}s`;
+      } else {
+        text = 'Study mode · Space to continue';
+      }
+    }
+
+    SubtitleOverlay.setIndicator(text);
+  },
+
+  /**
+   * Load the stored display mode
+   */
+  async loadDisplayMode() {
+    try {
+      const result = await chrome.storage.local.get(['displayMode']);
+      this.setDisplayMode(result.displayMode);
+    } catch (error) {
+      Utils.log(`Error loading display mode: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Switch between independently timed tracks and bilingual pairs
+   * @param {string} mode - 'separate' or 'paired'
+   */
+  setDisplayMode(mode) {
+    this.state.displayMode = mode === 'paired' ? 'paired' : 'separate';
+    this.state.pairIndex = null;
+
+    if (this.state.isActive) {
+      this.refreshOverlay();
+    }
+  },
+
+  /**
+   * Change a track's delay. The storage listener applies the new value, so
+   * changes from the popup and from shortcuts take the same path.
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @param {number} delta - Seconds to add
+   */
+  adjustOffset(track, delta) {
+    const max = this.CONFIG.MAX_OFFSET;
+    const offset = Math.round((this.state.offsets[track] + delta) * 1000) / 1000;
+    const clamped = Math.max(-max, Math.min(max, offset));
+
+    // Update right away so quick repeated presses add up
+    this.state.offsets[track] = clamped;
+    chrome.storage.local.set({ [this.getOffsetKey(track)]: clamped });
+  },
+
+  /**
+   * Watch the player URL so saved settings follow the title being played.
+   * The player is a single-page app, so episode changes don't reload the page.
+   */
+  setupTitleWatcher() {
+    this.state.saveTitleHandler = Utils.debounce(
+      () => TitleStore.saveCurrent(this.getTitleTiming()),
+      this.CONFIG.TITLE_SAVE_DELAY
+    );
+
+    const checkTitle = (isPageLoad = false) => {
+      const titleId = TitleStore.getContentId();
+      if (titleId === this.state.titleId) return;
+
+      const previousId = this.state.titleId;
+      this.state.titleId = titleId;
+      this.handleTitleChange(previousId, titleId, isPageLoad);
+    };
+
+    if (this.state.titleWatchInterval) {
+      clearInterval(this.state.titleWatchInterval);
+    }
+    this.state.titleWatchInterval = setInterval(() => checkTitle(), this.CONFIG.TITLE_CHECK_INTERVAL);
+    checkTitle(true);
+  },
+
+  /**
+   * Restore saved settings when a different title starts playing
+   * @param {string|null} previousId - Content ID that was playing
+   * @param {string|null} titleId - Content ID now playing
+   * @param {boolean} isPageLoad - True for the check made when the page loads
+   */
+  async handleTitleChange(previousId, titleId, isPageLoad = false) {
+    try {
+      // Subtitles of the previous episode don't fit the new one
+      if (previousId && this.state.isActive) {
+        this.handleStopCommand();
+      }
+
+      const entry = await TitleStore.get(titleId);
+      if (!entry) {
+        // Delays and corrections of the previous title don't fit one that has
+        // none saved. Only this tab's timing is reset: the stored values are
+        // shared by all tabs, and after a reload they are what the user just
+        // set for this title.
+        if (titleId && !isPageLoad) {
+          this.resetTitleTiming();
+        }
+        return;
+      }
+
+      Utils.log(`Restoring saved subtitle settings for "${entry.name}"`);
+      await TitleStore.restore(entry);
+      // Stored values equal to the previous ones raise no change event
+      await this.loadTimingSettings();
+
+      if (entry.autoStart && await this.waitForVideo()) {
+        await this.handleStartCommand();
+      }
+    } catch (error) {
+      Utils.log(`Error restoring title settings: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Drop this tab's delays and corrections for a title that has none saved
+   */
+  resetTitleTiming() {
+    this.state.offsets = { subtitle1: 0, subtitle2: 0 };
+    this.state.corrections = { subtitle1: null, subtitle2: null };
+    this.state.pairIndex = null;
+  },
+
+  /**
+   * Get this tab's timing to save with the title, which may differ from the
+   * stored values after resetTitleTiming
+   * @returns {Object} Settings by storage key
+   */
+  getTitleTiming() {
+    return {
+      offsetSub1: this.state.offsets.subtitle1,
+      offsetSub2: this.state.offsets.subtitle2,
+      correctionSub1: this.state.corrections.subtitle1,
+      correctionSub2: this.state.corrections.subtitle2
+    };
+  },
+
+  /**
+   * Wait until the player's video element exists
+   * @returns {Promise<boolean>} True if the video appeared before the timeout
+   */
+  async waitForVideo() {
+    const deadline = Date.now() + this.CONFIG.VIDEO_WAIT_TIMEOUT;
+
+    while (Date.now() < deadline) {
+      if (document.querySelector(this.CONFIG.VIDEO_SELECTOR)) return true;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    Utils.log('Video element not found, skipping auto-start', 'warn');
+    return false;
   },
 
   /**
@@ -41,9 +716,9 @@ const SubtitleManager = {
    */
   pauseOperations() {
     try {
-      if (this.state.isActive && this.state.videoElement && this.state.timeUpdateHandler) {
-        // Remove event listener to pause updates
-        this.state.videoElement.removeEventListener('timeupdate', this.state.timeUpdateHandler);
+      if (this.state.isActive && this.state.videoElement) {
+        // Stop the sync loop to pause updates
+        this.detachVideoSync();
         Utils.log('Subtitle operations paused');
       }
     } catch (error) {
@@ -56,9 +731,9 @@ const SubtitleManager = {
    */
   resumeOperations() {
     try {
-      if (this.state.isActive && this.state.videoElement && this.state.timeUpdateHandler) {
-        // Re-add event listener to resume updates
-        this.state.videoElement.addEventListener('timeupdate', this.state.timeUpdateHandler);
+      if (this.state.isActive && this.state.videoElement) {
+        // Restart the sync loop to resume updates
+        this.attachVideoSync();
         Utils.log('Subtitle operations resumed');
       }
     } catch (error) {
@@ -71,15 +746,19 @@ const SubtitleManager = {
    */
   performCleanup() {
     try {
-      // Clean up invalid subtitle entries
+      // Clean up invalid subtitle entries (cues retimed before 0 are kept so
+      // a later timing correction can bring them back)
       this.state.subtitle1Subtitles = this.state.subtitle1Subtitles.filter(sub => 
-        sub && sub.startTime >= 0 && sub.endTime > sub.startTime && sub.text
+        sub && sub.endTime > sub.startTime && sub.text
       );
       
       this.state.subtitle2Subtitles = this.state.subtitle2Subtitles.filter(sub => 
-        sub && sub.startTime >= 0 && sub.endTime > sub.startTime && sub.text
+        sub && sub.endTime > sub.startTime && sub.text
       );
       
+      this.updateTrackIndex('subtitle1');
+      this.updateTrackIndex('subtitle2');
+      
       // Verify video element still exists
       if (this.state.videoElement && !document.contains(this.state.videoElement)) {
         Utils.log('Video element no longer in DOM, reconnecting...', 'warn');
@@ -122,14 +801,14 @@ const SubtitleManager = {
    */
   reconnectVideoElement() {
     try {
-      if (this.state.timeUpdateHandler) {
-        this.state.videoElement.removeEventListener('timeupdate', this.state.timeUpdateHandler);
-      }
+      this.detachVideoSync();
       
-      this.state.videoElement = Utils.safeQuerySelector(this.CONFIG.VIDEO_SELECTOR);
+      // No retries: a retried lookup returns a Promise instead of the element
+      this.state.videoElement = Utils.safeQuerySelector(this.CONFIG.VIDEO_SELECTOR, document, 0);
       
-      if (this.state.videoElement && this.state.timeUpdateHandler) {
-        this.state.videoElement.addEventListener('timeupdate', this.state.timeUpdateHandler);
+      // Go by isActive: a reconnect that finds no video leaves sync detached
+      if (this.state.videoElement && this.state.isActive) {
+        this.attachVideoSync();
         Utils.log('Video element reconnected');
       }
     } catch (error) {
@@ -138,26 +817,32 @@ const SubtitleManager = {
   },
 
   /**
-   * Start subtitle display
-   * @param {string} subtitle1Url - URL for Subtitle 1
-   * @param {string} subtitle2Url - URL for Subtitle 2
+   * Start subtitle display. Video monitoring starts first so cues show up
+   * as soon as their segment is parsed while the rest are still loading.
+   * @param {string|Object} subtitle1Url - URL or source (see loadTrack) for Subtitle 1
+   * @param {string|Object} subtitle2Url - URL or source (see loadTrack) for Subtitle 2
+   * @param {Object} options - Load options
+   * @param {number} options.concurrency - Parallel segment requests per track
    */
-  async start(subtitle1Url, subtitle2Url) {
+  async start(subtitle1Url, subtitle2Url, options = {}) {
     try {
       Utils.log('Starting subtitle display');
       
-      // Load subtitles
-      await this.loadSubtitles(subtitle1Url, subtitle2Url);
-      
       // Setup video monitoring
       this.setupVideoMonitoring();
       
       this.state.isActive = true;
+      TranscriptPanel.setEnabled(true);
+      this.updateStudyIndicator();
+      
+      // Load subtitles
+      await this.loadSubtitles(subtitle1Url, subtitle2Url, options);
       
       Utils.log('Subtitle display started successfully');
       return { success: true };
     } catch (error) {
       Utils.log(`Error starting subtitle display: ${error.message}`, 'error');
+      this.stop();
       return { success: false, error: error.message };
     }
   },
@@ -169,20 +854,31 @@ const SubtitleManager = {
     try {
       Utils.log('Stopping subtitle display');
       
-      // Remove video event listener
-      if (this.state.videoElement && this.state.timeUpdateHandler) {
-        this.state.videoElement.removeEventListener('timeupdate', this.state.timeUpdateHandler);
-      }
+      // Stop the sync loop
+      this.detachVideoSync();
       
       // Clear state
       this.state.videoElement = null;
-      this.state.timeUpdateHandler = null;
       this.state.isActive = false;
+      this.state.isLoading = false;
+      this.state.loadGeneration++;
       this.state.subtitle1Subtitles = [];
       this.state.subtitle2Subtitles = [];
+      this.state.subtitle1Index = null;
+      this.state.subtitle2Index = null;
+      this.state.lastSubtitle1Text = '';
+      this.state.lastSubtitle2Text = '';
+      this.state.lastSubtitle1Cues = [];
+      this.state.lastSubtitle2Cues = [];
+      this.state.resyncPoints = [];
+      this.state.hiddenTracks = { subtitle1: false, subtitle2: false };
+      this.clearStudyPause();
+      this.state.study.lastTime = null;
       
-      // Hide overlay
+      // Hide overlay and transcript
       SubtitleOverlay.updateOverlay('', '');
+      TranscriptPanel.setEnabled(false);
+      this.updateTranscript();
       
       Utils.log('Subtitle display stopped');
       return { success: true };
@@ -194,33 +890,35 @@ const SubtitleManager = {
 
   /**
    * Load subtitles from URLs
-   * @param {string} subtitle1Url - URL for Subtitle 1
-   * @param {string} subtitle2Url - URL for Subtitle 2
+   * @param {string|Object} subtitle1Url - URL or source (see loadTrack) for Subtitle 1
+   * @param {string|Object} subtitle2Url - URL or source (see loadTrack) for Subtitle 2
+   * @param {Object} options - Load options
+   * @param {number} options.concurrency - Parallel segment requests per track
    */
-  async loadSubtitles(subtitle1Url, subtitle2Url) {
+  async loadSubtitles(subtitle1Url, subtitle2Url, options = {}) {
+    const generation = ++this.state.loadGeneration;
+
     try {
       const promises = [];
       
+      this.state.subtitle1Subtitles = [];
+      this.state.subtitle2Subtitles = [];
+      this.updateTrackIndex('subtitle1');
+      this.updateTrackIndex('subtitle2');
+      this.state.collapsedDuplicates = { subtitle1: 0, subtitle2: 0 };
+      this.state.segmentProgress = { subtitle1: null, subtitle2: null };
+      this.state.progressHandler = Utils.throttle(
+        this.reportSegmentProgress.bind(this),
+        this.CONFIG.PROGRESS_INTERVAL
+      );
+      this.state.isLoading = true;
+      
       if (subtitle1Url) {
-        promises.push(
-          SubtitleParser.fetchAllVTTs(subtitle1Url)
-            .then(content => SubtitleParser.parseVTT(content))
-            .then(subtitles => {
-              this.state.subtitle1Subtitles = subtitles;
-              Utils.log(`Loaded ${subtitles.length} Subtitle 1 entries`);
-            })
-        );
+        promises.push(this.loadTrack('subtitle1', subtitle1Url, generation, options));
       }
-      
+
       if (subtitle2Url) {
-        promises.push(
-          SubtitleParser.fetchAllVTTs(subtitle2Url)
-            .then(content => SubtitleParser.parseVTT(content))
-            .then(subtitles => {
-              this.state.subtitle2Subtitles = subtitles;
-              Utils.log(`Loaded ${subtitles.length} Subtitle 2 entries`);
-            })
-        );
+        promises.push(this.loadTrack('subtitle2', subtitle2Url, generation, options));
       }
       
       await Promise.all(promises);
@@ -231,63 +929,350 @@ const SubtitleManager = {
     } catch (error) {
       Utils.log(`Error loading subtitles: ${error.message}`, 'error');
       throw error;
+    } finally {
+      if (generation === this.state.loadGeneration) {
+        this.state.isLoading = false;
+      }
     }
   },
 
   /**
-   * Validate loaded subtitles
+   * Fetch and parse a single subtitle track, choosing the parser by format.
+   * Segmented tracks are parsed segment by segment and shown as they arrive.
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @param {string|Object} source - Subtitle URL, { url, template } for templated segments,
+   *   { url, segments } for a manifest rendition with known segments,
+   *   or { file } for the text of a local file
+   * @param {number} generation - Load generation this request belongs to
+   * @param {Object} options - Load options
    */
-  validateLoadedSubtitles() {
-    const subtitle1Validation = SubtitleParser.validateSubtitles(this.state.subtitle1Subtitles);
-    const subtitle2Validation = SubtitleParser.validateSubtitles(this.state.subtitle2Subtitles);
-    
-    if (!subtitle1Validation.isValid && this.state.subtitle1Subtitles.length > 0) {
-      Utils.log(`Subtitle 1 validation errors: ${subtitle1Validation.errors.join(', ')}`, 'warn');
-    }
-    
-    if (!subtitle2Validation.isValid && this.state.subtitle2Subtitles.length > 0) {
-      Utils.log(`Subtitle 2 validation errors: ${subtitle2Validation.errors.join(', ')}`, 'warn');
+  async loadTrack(track, source, generation, options = {}) {
+    const isCurrent = () => generation === this.state.loadGeneration;
+    const { url: sourceUrl, template, file, segments } = typeof source === 'string' ? { url: source } : source;
+
+    if (file) {
+      Utils.log(`Using ${file.format.toUpperCase()} subtitles from local file: ${file.name}`);
+      // Only the file text is stored; cues are parsed here
+      this.setTrackSubtitles(track, file.cues || SubtitleParser.parse(file.text, file.format));
+      return;
     }
-    
-    Utils.log(`Validation complete - Sub 1: ${subtitle1Validation.count}, Sub 2: ${subtitle2Validation.count}`);
-  },
 
-  /**
-   * Setup video monitoring
+    const url = template ? template.pattern : (segments ? segments[0].uri : sourceUrl);
+
+    if (!template && !segments && !ManifestParser.isPlaylistUrl(url) && SubtitleParser.detectFormatFromUrl(url) !== 'vtt') {
+      const content = await SubtitleParser.fetchSubtitleFile(url);
+      const format = SubtitleParser.detectFormat(url, content);
+      Utils.log(`Detected ${format.toUpperCase()} subtitle format: ${url}`);
+
+      if (isCurrent()) {
+        this.setTrackSubtitles(track, SubtitleParser.parse(content, format));
+      }
+      return;
+    }
+
+    const segmentCues = [];
+    let mpegtsBase;
+
+    const fetchOptions = {
+      template,
+      concurrency: options.concurrency || this.CONFIG.SEGMENT_CONCURRENCY,
+      getPriorityTime: () => this.state.videoElement ? this.state.videoElement.currentTime : null,
+      getMediaDuration: () => this.state.videoElement ? this.state.videoElement.duration : null,
+      onSegment: (index, text) => {
+        if (!isCurrent()) return;
+
+        // The first segment is always delivered first and sets the time base
+        if (index === 0) {
+          mpegtsBase = SubtitleParser.findMpegtsBase(text);
+        }
+
+        const cues = this.parseSegment(url, text, mpegtsBase);
+        // Duplicates are only collapsed across segment boundaries
+        cues.forEach(cue => {
+          cue.segment = index;
+        });
+
+        // DASH segment times are relative to the start of their period
+        const timeOffset = segments ? segments[index].timeOffset || 0 : 0;
+        if (timeOffset) {
+          cues.forEach(cue => {
+            cue.startTime += timeOffset;
+            cue.endTime += timeOffset;
+          });
+        }
+
+        segmentCues[index] = cues;
+        this.appendTrackSubtitles(track, cues);
+      },
+      onProgress: (completed, total) => {
+        if (!isCurrent()) return;
+
+        this.state.segmentProgress[track] = { completed, total };
+        this.state.progressHandler();
+      }
+    };
+
+    if (segments) {
+      const results = await SubtitleParser.fetchSegments(segments, fetchOptions);
+      if (results.every(text => text === null)) {
+        throw new Error('Failed to fetch any subtitle segment');
+      }
+    } else if (!template && ManifestParser.isPlaylistUrl(url)) {
+      await SubtitleParser.fetchPlaylistSegments(url, fetchOptions);
+    } else {
+      // Templates and bare .vtt URLs fall back to guessing numbered segments
+      await SubtitleParser.fetchAllVTTs(url, fetchOptions);
+    }
+
+    if (isCurrent()) {
+      this.setTrackSubtitles(track, [].concat(...segmentCues.filter(Boolean)));
+    }
+  },
+
+  /**
+   * Parse one subtitle segment
+   * @param {string} url - Track URL (used for format detection)
+   * @param {string} text - Segment content
+   * @param {number} mpegtsBase - MPEGTS value of the first segment, if any
+   * @returns {Array} Parsed subtitle objects
+   */
+  parseSegment(url, text, mpegtsBase) {
+    const format = SubtitleParser.detectFormat(url, text);
+    return format === 'vtt'
+      ? SubtitleParser.parseVTT(text, { mpegtsBase })
+      : SubtitleParser.parse(text, format);
+  },
+
+  /**
+   * Add cues from a freshly parsed segment to a track that is still loading
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @param {Array} cues - Parsed subtitle objects
+   */
+  appendTrackSubtitles(track, cues) {
+    if (cues.length === 0) return;
+
+    const subtitles = this.state[`${track}Subtitles`].concat(
+      SubtitleSync.applyTransform(cues, this.state.corrections[track])
+    );
+    subtitles.sort((a, b) => a.startTime - b.startTime);
+    this.state[`${track}Subtitles`] = subtitles;
+    this.updateTrackIndex(track);
+  },
+
+  /**
+   * Rebuild the lookup index of a track after its cues change
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   */
+  updateTrackIndex(track) {
+    this.state[`${track}Index`] = SubtitleParser.buildCueIndex(this.state[`${track}Subtitles`]);
+    this.state.pairIndex = null;
+    this.updateTranscript();
+  },
+
+  /**
+   * Get the lookup index of bilingual pairs, building it on first use after
+   * the cues or delays change
+   * @returns {Object} Cue index of pairs
+   */
+  getPairIndex() {
+    if (!this.state.pairIndex) {
+      const pairs = SubtitleParser.pairCues(this.state.subtitle1Subtitles, this.state.subtitle2Subtitles, {
+        offsets: this.state.offsets
+      });
+      this.state.pairIndex = SubtitleParser.buildCueIndex(pairs);
+    }
+
+    return this.state.pairIndex;
+  },
+
+  /**
+   * Find the cues of the bilingual pairs active at a time
+   * @param {number} currentTime - Video time in seconds
+   * @returns {Object} Active cues per track ({ subtitle1, subtitle2 })
+   */
+  findActivePairCues(currentTime) {
+    const pairs = SubtitleParser.findActiveCues(this.getPairIndex(), currentTime);
+
+    return {
+      subtitle1: [].concat(...pairs.map(pair => pair.subtitle1)),
+      subtitle2: [].concat(...pairs.map(pair => pair.subtitle2))
+    };
+  },
+
+  /**
+   * Store a loaded track after collapsing duplicate cues
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @param {Array} subtitles - Parsed subtitle objects
+   */
+  setTrackSubtitles(track, subtitles) {
+    const { subtitles: normalized, collapsed } = SubtitleParser.normalizeCues(subtitles);
+    const label = track === 'subtitle1' ? 'Subtitle 1' : 'Subtitle 2';
+
+    this.state[`${track}Subtitles`] = SubtitleSync.applyTransform(normalized, this.state.corrections[track]);
+    this.updateTrackIndex(track);
+    this.state.collapsedDuplicates[track] = collapsed;
+
+    Utils.log(`Loaded ${normalized.length} ${label} entries (${collapsed} duplicates collapsed)`);
+  },
+
+  /**
+   * Replace a track's timing correction, retiming the cues already loaded
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @param {Object|null} correction - New correction ({ scale, offset }) or null for none
+   */
+  setTrackCorrection(track, correction) {
+    // Undo the previous correction and apply the new one in a single pass
+    const change = SubtitleSync.composeTransforms(
+      correction,
+      SubtitleSync.invertTransform(this.state.corrections[track])
+    );
+
+    this.state.corrections[track] = correction;
+    this.state[`${track}Subtitles`] = SubtitleSync.applyTransform(this.state[`${track}Subtitles`], change);
+    this.updateTrackIndex(track);
+  },
+
+  /**
+   * Write segment download progress for both tracks to the popup status
+   */
+  reportSegmentProgress() {
+    try {
+      if (!this.state.isLoading) return;
+
+      const progress = Object.values(this.state.segmentProgress).filter(Boolean);
+      if (progress.length === 0) return;
+
+      const completed = progress.reduce((sum, item) => sum + item.completed, 0);
+      // Guessed .vtt segment lists have no known total
+      const hasTotal = progress.every(item => item.total !== null);
+      const total = progress.reduce((sum, item) => sum + (item.total || 0), 0);
+
+      chrome.storage.local.set({
+        subtitleStatus: hasTotal
+          ? `Loading ${completed} of ${total} segments`
+          : `Loading segments (${completed} loaded)`
+      });
+    } catch (error) {
+      Utils.log(`Error reporting segment progress: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Build the load status shown in the popup
+   * @returns {string} Status text
+   */
+  getLoadStatus() {
+    const collapsed = this.state.collapsedDuplicates.subtitle1 + this.state.collapsedDuplicates.subtitle2;
+    return collapsed > 0 ? `Success (${collapsed} duplicate cues merged)` : 'Success';
+  },
+
+  /**
+   * Validate loaded subtitles
+   */
+  validateLoadedSubtitles() {
+    const subtitle1Validation = SubtitleParser.validateSubtitles(this.state.subtitle1Subtitles);
+    const subtitle2Validation = SubtitleParser.validateSubtitles(this.state.subtitle2Subtitles);
+    
+    if (!subtitle1Validation.isValid && this.state.subtitle1Subtitles.length > 0) {
+      Utils.log(`Subtitle 1 validation errors: ${subtitle1Validation.errors.join(', ')}`, 'warn');
+    }
+    
+    if (!subtitle2Validation.isValid && this.state.subtitle2Subtitles.length > 0) {
+      Utils.log(`Subtitle 2 validation errors: ${subtitle2Validation.errors.join(', ')}`, 'warn');
+    }
+    
+    Utils.log(`Validation complete - Sub 1: ${subtitle1Validation.count}, Sub 2: ${subtitle2Validation.count}`);
+  },
+
+  /**
+   * Setup video monitoring
    */
   setupVideoMonitoring() {
     try {
-      // Find video element
-      this.state.videoElement = Utils.safeQuerySelector(this.CONFIG.VIDEO_SELECTOR);
+      // Find video element (no retries, so a missing one is null rather than a Promise)
+      this.state.videoElement = Utils.safeQuerySelector(this.CONFIG.VIDEO_SELECTOR, document, 0);
       
       if (!this.state.videoElement) {
         throw new Error('Video element not found');
       }
       
-      // Create throttled time update handler
-      this.state.timeUpdateHandler = Utils.throttle(
-        this.handleVideoTimeUpdate.bind(this),
-        this.CONFIG.TIME_UPDATE_INTERVAL
-      );
-      
-      // Add event listener
-      this.state.videoElement.addEventListener('timeupdate', this.state.timeUpdateHandler);
+      // Sync on every presented frame
+      this.detachVideoSync();
+      this.attachVideoSync();
       
-      Utils.log('Video monitoring setup complete');
+      Utils.log(`Video monitoring setup complete (${this.state.syncUsesVideoFrames ? 'video frame' : 'animation frame'} sync)`);
     } catch (error) {
       Utils.log(`Error setting up video monitoring: ${error.message}`, 'error');
       throw error;
     }
   },
 
+  /**
+   * Start the per-frame sync loop and listen for seeks, pauses and rate changes
+   */
+  attachVideoSync() {
+    const video = this.state.videoElement;
+    if (!video || this.state.videoEventHandler) return;
+
+    this.state.videoEventHandler = () => this.handleVideoTimeUpdate();
+    this.CONFIG.SYNC_EVENTS.forEach(type => video.addEventListener(type, this.state.videoEventHandler));
+
+    // requestVideoFrameCallback reports the exact media time of each frame;
+    // requestAnimationFrame is the fallback where it is unavailable
+    this.state.syncUsesVideoFrames = typeof video.requestVideoFrameCallback === 'function';
+    this.scheduleFrameSync();
+  },
+
+  /**
+   * Request the next frame callback of the sync loop
+   */
+  scheduleFrameSync() {
+    const video = this.state.videoElement;
+    if (!video || !this.state.videoEventHandler) return;
+
+    if (this.state.syncUsesVideoFrames) {
+      this.state.frameCallbackId = video.requestVideoFrameCallback((now, metadata) => {
+        this.handleVideoTimeUpdate(metadata.mediaTime);
+        this.scheduleFrameSync();
+      });
+    } else {
+      this.state.frameCallbackId = requestAnimationFrame(() => {
+        this.handleVideoTimeUpdate();
+        this.scheduleFrameSync();
+      });
+    }
+  },
+
+  /**
+   * Stop the sync loop and remove the playback event listeners
+   */
+  detachVideoSync() {
+    const video = this.state.videoElement;
+
+    if (this.state.frameCallbackId !== null) {
+      if (this.state.syncUsesVideoFrames) {
+        if (video) video.cancelVideoFrameCallback(this.state.frameCallbackId);
+      } else {
+        cancelAnimationFrame(this.state.frameCallbackId);
+      }
+      this.state.frameCallbackId = null;
+    }
+
+    if (video && this.state.videoEventHandler) {
+      this.CONFIG.SYNC_EVENTS.forEach(type => video.removeEventListener(type, this.state.videoEventHandler));
+    }
+    this.state.videoEventHandler = null;
+  },
+
   /**
    * Handle video time updates
+   * @param {number} mediaTime - Media time of the presented frame, if known
    */
-  handleVideoTimeUpdate() {
+  handleVideoTimeUpdate(mediaTime) {
     try {
       if (!this.state.videoElement || !this.state.isActive) return;
       
-      const currentTime = this.state.videoElement.currentTime;
+      const currentTime = typeof mediaTime === 'number' ? mediaTime : this.state.videoElement.currentTime;
       
       if (isNaN(currentTime)) {
         // Utils.log('Invalid video time detected', 'warn');
@@ -295,35 +1280,40 @@ const SubtitleManager = {
       }
       
       this.state.currentTime = currentTime;
+      TranscriptPanel.update(currentTime);
+      this.checkStudyPause(currentTime);
       
-      // Find matching subtitles
-      const subtitle1Match = SubtitleParser.findSubtitleForTime(
-        this.state.subtitle1Subtitles, 
-        currentTime, 
-        this.CONFIG.TOLERANCE
-      );
-      
-      const subtitle2Match = SubtitleParser.findSubtitleForTime(
-        this.state.subtitle2Subtitles, 
-        currentTime, 
-        this.CONFIG.TOLERANCE
-      );
+      // Find every active cue on each track, shifted by the track's delay
+      // (in paired mode, the cues of every active bilingual pair)
+      const { offsets } = this.state;
+      const paired = this.state.displayMode === 'paired';
+      const { subtitle1: subtitle1Cues, subtitle2: subtitle2Cues } = paired
+        ? this.findActivePairCues(currentTime)
+        : {
+          subtitle1: SubtitleParser.findActiveCues(this.state.subtitle1Index, currentTime - offsets.subtitle1),
+          subtitle2: SubtitleParser.findActiveCues(this.state.subtitle2Index, currentTime - offsets.subtitle2)
+        };
       
-      // Update overlay
-      const subtitle1Text = subtitle1Match ? subtitle1Match.text : '';
-      const subtitle2Text = subtitle2Match ? subtitle2Match.text : '';
+      this.updateReveal(currentTime, { subtitle1: subtitle1Cues, subtitle2: subtitle2Cues });
       
-      // Only update if text has changed
-      if (subtitle1Text !== this.state.lastSubtitle1Text || 
-          subtitle2Text !== this.state.lastSubtitle2Text) {
+      // Only update if the active cues have changed (cues carry style as well as text)
+      if (!this.isSameCueList(subtitle1Cues, this.state.lastSubtitle1Cues) || 
+          !this.isSameCueList(subtitle2Cues, this.state.lastSubtitle2Cues)) {
         
-        this.state.lastSubtitle1Text = subtitle1Text;
-        this.state.lastSubtitle2Text = subtitle2Text;
+        this.state.lastSubtitle1Text = subtitle1Cues.map(cue => cue.text).join('\n');
+        this.state.lastSubtitle2Text = subtitle2Cues.map(cue => cue.text).join('\n');
+        this.state.lastSubtitle1Cues = subtitle1Cues;
+        this.state.lastSubtitle2Cues = subtitle2Cues;
         
-        SubtitleOverlay.updateOverlay(subtitle1Text, subtitle2Text);
+        const { hiddenTracks } = this.state;
+        SubtitleOverlay.updateOverlay(
+          hiddenTracks.subtitle1 ? [] : subtitle1Cues,
+          hiddenTracks.subtitle2 ? [] : subtitle2Cues,
+          { readingOrder: paired }
+        );
         
         // Update status in storage
-        this.updateStatus(subtitle1Match, subtitle2Match);
+        this.updateStatus(subtitle1Cues, subtitle2Cues);
       }
       
     } catch (error) {
@@ -331,14 +1321,33 @@ const SubtitleManager = {
     }
   },
 
+  /**
+   * Check whether two active cue lists hold the same cues
+   * @param {Array} a - Cue list
+   * @param {Array|null} b - Cue list (null never matches)
+   * @returns {boolean} True if both lists contain the same cues in the same order
+   */
+  isSameCueList(a, b) {
+    return !!b && a.length === b.length && a.every((cue, index) => cue === b[index]);
+  },
+
+  /**
+   * Redraw the overlay at the current video time, e.g. after cue timings change
+   */
+  refreshOverlay() {
+    this.state.lastSubtitle1Cues = null;
+    this.state.lastSubtitle2Cues = null;
+    this.handleVideoTimeUpdate();
+  },
+
   /**
    * Update status in storage
-   * @param {Object} subtitle1Match - Matched Subtitle 1
-   * @param {Object} subtitle2Match - Matched Subtitle 2
+   * @param {Array} subtitle1Cues - Active Subtitle 1 cues
+   * @param {Array} subtitle2Cues - Active Subtitle 2 cues
    */
-  updateStatus(subtitle1Match, subtitle2Match) {
+  updateStatus(subtitle1Cues, subtitle2Cues) {
     try {
-      const timestampStatus = subtitle1Match || subtitle2Match ? 'Success' : 'Timestamp not matched';
+      const timestampStatus = subtitle1Cues.length > 0 || subtitle2Cues.length > 0 ? 'Success' : 'Timestamp not matched';
       chrome.storage.local.set({ timestampStatus });
     } catch (error) {
       Utils.log(`Error updating status: ${error.message}`, 'error');
@@ -362,10 +1371,39 @@ const SubtitleManager = {
         }
       }
       
+      // Handle one-off commands from the popup
+      if (changes.command && changes.command.newValue) {
+        this.handleCommand(changes.command.newValue);
+      }
+      
       // Handle settings changes
-      if (changes.sizeSub1 || changes.sizeSub2 || changes.posSub1 || changes.posSub2) {
+      if (changes.sizeSub1 || changes.sizeSub2 || changes.posSub1 || changes.posSub2 ||
+          changes.revealSub1 || changes.revealSub2) {
         this.handleSettingsChange(changes);
       }
+      
+      // Handle subtitle delay changes
+      if (changes.offsetSub1 || changes.offsetSub2) {
+        this.handleOffsetChange(changes);
+      }
+      
+      // Handle timing correction changes
+      if (changes.correctionSub1 || changes.correctionSub2) {
+        this.handleCorrectionChange(changes);
+      }
+      
+      if (changes.displayMode) {
+        this.setDisplayMode(changes.displayMode.newValue);
+      }
+      
+      if (changes.studyMode || changes.studyResumeDelay || changes.studyMinCueLength) {
+        this.handleStudyChange(changes);
+      }
+      
+      if (changes.resyncTrack) {
+        this.state.resyncTrack = changes.resyncTrack.newValue || 'subtitle2';
+        this.state.resyncPoints = [];
+      }
     });
   },
 
@@ -374,21 +1412,56 @@ const SubtitleManager = {
    */
   async handleStartCommand() {
     try {
-      const { subtitleSub1URL, subtitleSub2URL } = await chrome.storage.local.get([
+      const settings = await chrome.storage.local.get([
         'subtitleSub1URL', 
-        'subtitleSub2URL'
+        'subtitleSub2URL',
+        'subtitleSub1Template',
+        'subtitleSub2Template',
+        'subtitleSub1File',
+        'subtitleSub2File',
+        'subtitleSub1Rendition',
+        'subtitleSub2Rendition',
+        'segmentConcurrency'
+      ]);
+      const [rendition1, rendition2] = await Promise.all([
+        this.resolveRendition(settings.subtitleSub1Rendition),
+        this.resolveRendition(settings.subtitleSub2Rendition)
       ]);
+      const subtitle1Source = this.getTrackSource(
+        settings.subtitleSub1URL, settings.subtitleSub1Template,
+        settings.subtitleSub1File, rendition1
+      );
+      const subtitle2Source = this.getTrackSource(
+        settings.subtitleSub2URL, settings.subtitleSub2Template,
+        settings.subtitleSub2File, rendition2
+      );
       // Validate URLs first
-      if (!subtitleSub1URL && !subtitleSub2URL) {
+      if (!subtitle1Source && !subtitle2Source) {
         throw new Error('No subtitle URLs provided');
       }
+      await this.clearStaleCorrections({
+        subtitle1: this.getSourceKey(
+          settings.subtitleSub1URL, settings.subtitleSub1Template,
+          settings.subtitleSub1File, settings.subtitleSub1Rendition
+        ),
+        subtitle2: this.getSourceKey(
+          settings.subtitleSub2URL, settings.subtitleSub2Template,
+          settings.subtitleSub2File, settings.subtitleSub2Rendition
+        )
+      });
+      chrome.storage.local.set({ subtitleStatus: 'Loading' });
       // Start subtitle display
-      const result = await this.start(subtitleSub1URL, subtitleSub2URL);
+      const result = await this.start(subtitle1Source, subtitle2Source, {
+        concurrency: settings.segmentConcurrency
+      });
+      // Stopped while still loading
+      if (result.success && !this.state.isActive) return;
       if (result.success) {
         chrome.storage.local.set({ 
-          subtitleStatus: 'Success',
+          subtitleStatus: this.getLoadStatus(),
           timestampStatus: 'Fetching'
         });
+        TitleStore.saveCurrent(this.getTitleTiming());
         Utils.log('Subtitle display started successfully');
       } else {
         throw new Error(result.error || 'Failed to start subtitle display');
@@ -402,7 +1475,7 @@ const SubtitleManager = {
       } else if (error.message.includes('fetch')) {
         errorMessage = 'Failed to fetch subtitle from URL';
       } else if (error.message.includes('parse')) {
-        errorMessage = 'Failed to parse VTT subtitle';
+        errorMessage = 'Failed to parse subtitle';
       } else if (error.message.includes('video')) {
         errorMessage = 'Video element not found';
       }
@@ -413,6 +1486,442 @@ const SubtitleManager = {
     }
   },
 
+  /**
+   * Look up a stored rendition reference in its manifest. Only the manifest
+   * URL and rendition id are stored, so the segment list is fetched fresh.
+   * @param {Object} rendition - Stored rendition ({ manifestUrl, id, label })
+   * @returns {Promise<Object|null>} Rendition ({ url } or { segments }), or null if none is stored
+   */
+  async resolveRendition(rendition) {
+    if (!rendition) return null;
+    // Stored before renditions were saved by reference
+    if (rendition.url || Array.isArray(rendition.segments)) return rendition;
+
+    const response = await SubtitleParser.enhancedFetch(rendition.manifestUrl);
+    const renditions = ManifestParser.parseManifest(await response.text(), rendition.manifestUrl);
+    const match = renditions.find(item => item.id === rendition.id && item.label === rendition.label) ||
+      renditions.find(item => rendition.label && item.label === rendition.label) ||
+      renditions.find(item => item.id === rendition.id);
+
+    if (!match) {
+      throw new Error(`Subtitle track "${rendition.label || rendition.id}" not found in manifest`);
+    }
+    return match;
+  },
+
+  /**
+   * Build the load source for one slot. A local file takes precedence over
+   * a manifest rendition, then a segment template, then the URL.
+   * @param {string} url - Stored slot URL
+   * @param {Object} template - Stored segment URL template, if any
+   * @param {Object} file - Stored local file ({ name, format, text }), if any
+   * @param {Object} rendition - Resolved manifest rendition ({ url } or { segments }), if any
+   * @returns {Object|null} Source (see loadTrack) or null if the slot is empty
+   */
+  getTrackSource(url, template, file, rendition) {
+    if (this.hasFileContent(file)) {
+      return { file };
+    }
+
+    if (rendition && Array.isArray(rendition.segments) && rendition.segments.length > 0) {
+      return { url: url || '', segments: rendition.segments };
+    }
+
+    if (rendition && rendition.url) {
+      return { url: rendition.url };
+    }
+
+    const segmentTemplate = SubtitleParser.normalizeSegmentTemplate(template);
+
+    if (segmentTemplate) {
+      return { url: url || '', template: segmentTemplate };
+    }
+
+    return url ? { url } : null;
+  },
+
+  /**
+   * Check whether a stored local file has anything to load
+   * @param {Object} file - Stored local file ({ name, format, text }; older versions stored cues)
+   * @returns {boolean} True if the file has content
+   */
+  hasFileContent(file) {
+    if (!file) return false;
+    return typeof file.text === 'string'
+      ? file.text.trim() !== ''
+      : Array.isArray(file.cues) && file.cues.length > 0;
+  },
+
+  /**
+   * Identify the source a slot loads from, following the precedence of getTrackSource
+   * @param {string} url - Stored slot URL
+   * @param {Object} template - Stored segment URL template, if any
+   * @param {Object} file - Stored local file, if any
+   * @param {Object} rendition - Stored manifest rendition reference, if any
+   * @returns {string|null} Source key, or null if the slot is empty
+   */
+  getSourceKey(url, template, file, rendition) {
+    if (this.hasFileContent(file)) {
+      return `file:${file.name}`;
+    }
+
+    if (rendition) {
+      return `rendition:${rendition.manifestUrl || rendition.url || url}#${rendition.id}`;
+    }
+
+    const segmentTemplate = SubtitleParser.normalizeSegmentTemplate(template);
+
+    if (segmentTemplate) {
+      return `template:${segmentTemplate.pattern}`;
+    }
+
+    return url ? `url:${url}` : null;
+  },
+
+  /**
+   * Drop timing corrections made for other sources than the ones being loaded,
+   * so a correction fitted to one file is never applied to another
+   * @param {Object} sourceKeys - Source key per track (see getSourceKey)
+   */
+  async clearStaleCorrections(sourceKeys) {
+    const stored = await chrome.storage.local.get(['correctionSub1', 'correctionSub2']);
+    const stale = ['subtitle1', 'subtitle2'].filter(track => {
+      const correction = stored[this.getCorrectionKey(track)];
+      return correction && correction.source !== sourceKeys[track];
+    });
+
+    this.state.sources = { ...sourceKeys };
+    if (stale.length === 0) return;
+
+    stale.forEach(track => {
+      this.state.corrections[track] = null;
+    });
+    Utils.log(`Cleared timing corrections of new sources: ${stale.join(', ')}`);
+    await chrome.storage.local.remove(stale.map(track => this.getCorrectionKey(track)));
+  },
+
+  /**
+   * Handle a one-off command from the popup ({ type, ..., issuedAt }).
+   * Only the visible tab answers, so background tabs don't overwrite the result.
+   * @param {Object} command - Command written to storage
+   */
+  async handleCommand(command) {
+    if (document.hidden) return;
+
+    try {
+      switch (command.type) {
+        case 'listRenditions':
+          await this.listManifestRenditions(command.url);
+          break;
+        case 'autoSync':
+          await this.autoSyncTracks();
+          break;
+        case 'undoCorrection':
+          await this.undoCorrection(this.getResyncTrack());
+          break;
+        case 'export':
+          this.exportSubtitles(command.format);
+          break;
+        default:
+          Utils.log(`Unknown command: ${command.type}`, 'warn');
+      }
+    } catch (error) {
+      Utils.log(`Error handling command ${command.type}: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Fetch a DASH MPD or HLS master playlist and publish its subtitle renditions
+   * @param {string} url - Manifest URL
+   */
+  async listManifestRenditions(url) {
+    try {
+      const response = await SubtitleParser.enhancedFetch(url);
+      const renditions = ManifestParser.parseManifest(await response.text(), url);
+
+      chrome.storage.local.set({ manifestRenditions: { url, renditions, error: null } });
+    } catch (error) {
+      Utils.log(`Error listing manifest renditions: ${error.message}`, 'error');
+      chrome.storage.local.set({ manifestRenditions: { url, renditions: [], error: error.message } });
+    }
+  },
+
+  /**
+   * Align Subtitle 2 to Subtitle 1 as currently shown (delays included) and
+   * store the combined correction, which the storage listener then applies
+   */
+  async autoSyncTracks() {
+    try {
+      if (!this.state.isActive || this.state.isLoading) {
+        throw new Error('Wait until both subtitles have finished loading');
+      }
+
+      // Compare the tracks as they appear on screen, delays included
+      const delay = this.state.offsets.subtitle1 - this.state.offsets.subtitle2;
+      const reference = SubtitleSync.applyTransform(this.state.subtitle1Subtitles, { scale: 1, offset: delay });
+      const result = SubtitleSync.findTransform(reference, this.state.subtitle2Subtitles);
+
+      if (!result) {
+        throw new Error('Both subtitles need more cues to compare');
+      }
+
+      const confidence = `${Math.round(result.confidence * 100)}% confidence`;
+      Utils.log(`Auto-sync found ${SubtitleSync.describeTransform(result)} (${result.matched}/${result.total} cues)`);
+
+      if (result.confidence < this.CONFIG.MIN_SYNC_CONFIDENCE) {
+        throw new Error(`Not aligned: only ${confidence}`);
+      }
+
+      const syncStatus = `Aligned: ${SubtitleSync.describeTransform(result)} (${confidence})`;
+
+      await this.saveTrackCorrection(
+        'subtitle2',
+        SubtitleSync.composeTransforms(result, this.state.corrections.subtitle2),
+        syncStatus
+      );
+      SubtitleOverlay.showToast(`Subtitle 2 ${syncStatus.toLowerCase()}`);
+    } catch (error) {
+      Utils.log(`Error in auto-sync: ${error.message}`, 'error');
+      chrome.storage.local.set({ syncStatus: error.message });
+    }
+  },
+
+  /**
+   * Get the track two-point resync and undo work on: the chosen one, or the
+   * other one when only that has cues
+   * @returns {string} Track key ('subtitle1' or 'subtitle2')
+   */
+  getResyncTrack() {
+    const chosen = this.state.resyncTrack;
+    const other = chosen === 'subtitle1' ? 'subtitle2' : 'subtitle1';
+
+    return this.state[`${chosen}Subtitles`].length === 0 && this.state[`${other}Subtitles`].length > 0
+      ? other
+      : chosen;
+  },
+
+  /**
+   * Mark that a line is being spoken now, picking the line on screen (or the
+   * nearest one). Neither mark is applied until confirmed with Alt+Enter, so
+   * a second mark on a drifted line can still be moved to the line spoken.
+   * Marking again once both are set replaces the second mark.
+   */
+  markResyncPoint() {
+    const track = this.getResyncTrack();
+    const subtitles = this.state[`${track}Subtitles`];
+    const video = this.state.videoElement;
+
+    if (subtitles.length === 0 || !video) return;
+
+    // Cue times on screen are shifted by the track delay
+    const time = video.currentTime - this.state.offsets[track];
+    const index = this.findResyncCueIndex(subtitles, time);
+    const point = { track, cueStart: subtitles[index].startTime, text: subtitles[index].text, time };
+    const [first] = this.state.resyncPoints;
+
+    this.state.resyncPoints = first && first.track === track ? [first, point] : [point];
+    this.showResyncPoint();
+  },
+
+  /**
+   * Move the latest pending mark to the previous or next line
+   * @param {number} direction - -1 for the previous line, 1 for the next
+   */
+  stepResyncPoint(direction) {
+    const point = this.state.resyncPoints[this.state.resyncPoints.length - 1];
+    const subtitles = this.state[`${point.track}Subtitles`];
+    const index = subtitles.findIndex(cue => cue.startTime === point.cueStart && cue.text === point.text);
+    const next = subtitles[Math.max(0, Math.min(subtitles.length - 1, index + direction))];
+
+    if (index === -1 || !next) return;
+
+    point.cueStart = next.startTime;
+    point.text = next.text;
+    this.showResyncPoint();
+  },
+
+  /**
+   * Apply the two pending marks, or say what is missing
+   */
+  confirmResync() {
+    const [first, second] = this.state.resyncPoints;
+
+    if (!second) {
+      SubtitleOverlay.showToast('Press Alt+M at a later line to set the second point');
+      return;
+    }
+
+    this.state.resyncPoints = [];
+    this.applyTwoPointResync(first.track, first, second);
+  },
+
+  /**
+   * Drop the pending marks
+   */
+  cancelResync() {
+    this.state.resyncPoints = [];
+    SubtitleOverlay.showToast('Resync cancelled');
+  },
+
+  /**
+   * Find the cue the viewer most likely means: the one on screen, otherwise
+   * the one starting nearest to the given time
+   * @param {Array} subtitles - Track cues sorted by start time
+   * @param {number} time - Track time in seconds
+   * @returns {number} Cue index
+   */
+  findResyncCueIndex(subtitles, time) {
+    const starts = subtitles.map(cue => cue.startTime);
+    const index = SubtitleSync.findNearestIndex(starts, time);
+
+    const previous = subtitles[index - 1];
+    if (previous && previous.endTime > time) return index - 1;
+    if (index === subtitles.length) return index - 1;
+    if (index === 0) return 0;
+
+    return time - previous.startTime <= subtitles[index].startTime - time ? index - 1 : index;
+  },
+
+  /**
+   * Show the latest pending mark on screen with what to do next
+   */
+  showResyncPoint() {
+    const points = this.state.resyncPoints;
+    const point = points[points.length - 1];
+    const hint = points.length === 1 ? 'Alt+M again at a later line' : 'Alt+Enter to apply';
+    const text = point.text.replace(/\s+/g, ' ');
+    const shortText = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+
+    SubtitleOverlay.showToast(
+      `Point ${points.length}: "${shortText}" (Alt+[ / Alt+] to change, ${hint})`,
+      this.CONFIG.RESYNC_TOAST_DURATION
+    );
+  },
+
+  /**
+   * Retime a track so two marked lines start at the times they were marked
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @param {Object} first - First marked point
+   * @param {Object} second - Second marked point
+   */
+  async applyTwoPointResync(track, first, second) {
+    try {
+      const cueGap = second.cueStart - first.cueStart;
+
+      if (Math.abs(cueGap) < this.CONFIG.MIN_RESYNC_GAP ||
+          Math.abs(second.time - first.time) < this.CONFIG.MIN_RESYNC_GAP) {
+        throw new Error(`Mark two lines at least ${this.CONFIG.MIN_RESYNC_GAP}s apart`);
+      }
+
+      const scale = (second.time - first.time) / cueGap;
+      if (!(Math.abs(scale - 1) <= this.CONFIG.MAX_RESYNC_SCALE_CHANGE)) {
+        throw new Error('The marked lines don\'t match; try again');
+      }
+
+      const transform = { scale, offset: first.time - scale * first.cueStart };
+      const label = track === 'subtitle1' ? 'Subtitle 1' : 'Subtitle 2';
+      const syncStatus = `Resynced ${label}: ${SubtitleSync.describeTransform(transform)}`;
+
+      await this.saveTrackCorrection(
+        track,
+        SubtitleSync.composeTransforms(transform, this.state.corrections[track]),
+        syncStatus
+      );
+      SubtitleOverlay.showToast(`${syncStatus} (Alt+U to undo)`);
+    } catch (error) {
+      Utils.log(`Two-point resync not applied: ${error.message}`, 'warn');
+      SubtitleOverlay.showToast(error.message);
+    }
+  },
+
+  /**
+   * Store a new timing correction for a track, keeping the previous ones for undo
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @param {Object} correction - New correction ({ scale, offset })
+   * @param {string} syncStatus - Status shown in the popup
+   */
+  async saveTrackCorrection(track, correction, syncStatus) {
+    const current = this.state.corrections[track];
+    const previous = current ? { scale: current.scale, offset: current.offset } : null;
+    const history = (current && current.history ? current.history : [])
+      .concat([previous])
+      .slice(-this.CONFIG.MAX_CORRECTION_HISTORY);
+
+    await chrome.storage.local.set({
+      [this.getCorrectionKey(track)]: {
+        scale: correction.scale,
+        offset: correction.offset,
+        history,
+        source: this.state.sources[track]
+      },
+      syncStatus
+    });
+  },
+
+  /**
+   * Go back to a track's previous timing correction
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   */
+  async undoCorrection(track) {
+    try {
+      const current = this.state.corrections[track];
+      const label = track === 'subtitle1' ? 'Subtitle 1' : 'Subtitle 2';
+
+      if (!current || !current.history || current.history.length === 0) {
+        SubtitleOverlay.showToast(`No ${label} timing change to undo`);
+        return;
+      }
+
+      const history = current.history.slice(0, -1);
+      const previous = current.history[current.history.length - 1];
+      let correction = null;
+
+      const source = this.state.sources[track];
+      if (previous) {
+        correction = { ...previous, history, source };
+      } else if (history.length > 0) {
+        correction = { ...SubtitleSync.getIdentity(), history, source };
+      }
+
+      const syncStatus = `Undone: ${label} back to ${previous ? SubtitleSync.describeTransform(previous) : 'original timing'}`;
+      await chrome.storage.local.set({ [this.getCorrectionKey(track)]: correction, syncStatus });
+      SubtitleOverlay.showToast(syncStatus);
+    } catch (error) {
+      Utils.log(`Error undoing timing correction: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Download the loaded tracks, with their delays applied, as one combined file
+   * @param {string} format - 'vtt', 'srt' or 'ass'
+   */
+  exportSubtitles(format) {
+    try {
+      const { subtitle1Subtitles, subtitle2Subtitles } = this.state;
+
+      if (subtitle1Subtitles.length === 0 && subtitle2Subtitles.length === 0) {
+        throw new Error('No subtitles loaded to export');
+      }
+      if (this.state.isLoading) {
+        throw new Error('Wait until both subtitles have finished loading');
+      }
+
+      const title = TitleStore.getPageTitleName();
+      const content = SubtitleExporter.build(subtitle1Subtitles, subtitle2Subtitles, format, {
+        offsets: this.state.offsets,
+        title
+      });
+      const fileName = SubtitleExporter.getFileName(title, format);
+
+      SubtitleExporter.download(content, fileName, format);
+      Utils.log(`Exported subtitles as ${fileName}`);
+      chrome.storage.local.set({ exportStatus: { success: true, message: `Saved ${fileName}`, at: Date.now() } });
+    } catch (error) {
+      Utils.log(`Error exporting subtitles: ${error.message}`, 'error');
+      chrome.storage.local.set({ exportStatus: { success: false, message: error.message, at: Date.now() } });
+    }
+  },
+
   /**
    * Handle stop command from popup
    */
@@ -435,9 +1944,86 @@ const SubtitleManager = {
     if (changes.sizeSub2) settings.sizeSub2 = changes.sizeSub2.newValue || 0;
     if (changes.posSub1) settings.posSub1 = changes.posSub1.newValue || 0;
     if (changes.posSub2) settings.posSub2 = changes.posSub2.newValue || 0;
+    if (changes.revealSub1) settings.revealSub1 = changes.revealSub1.newValue || 'off';
+    if (changes.revealSub2) settings.revealSub2 = changes.revealSub2.newValue || 'off';
     
     if (Object.keys(settings).length > 0) {
       SubtitleOverlay.updateSettings(settings);
+
+      // Keep the saved title in step with style tweaks made while watching
+      if (this.state.isActive && this.state.saveTitleHandler) {
+        this.state.saveTitleHandler();
+      }
+    }
+  },
+
+  /**
+   * Apply changed subtitle delays and show the new value on screen
+   * @param {Object} changes - Storage changes
+   */
+  handleOffsetChange(changes) {
+    ['subtitle1', 'subtitle2'].forEach(track => {
+      const change = changes[this.getOffsetKey(track)];
+      if (!change) return;
+
+      this.state.offsets[track] = change.newValue || 0;
+      this.state.pairIndex = null;
+
+      if (this.state.isActive) {
+        const label = track === 'subtitle1' ? 'Subtitle 1' : 'Subtitle 2';
+        SubtitleOverlay.showToast(`${label} delay: ${Utils.formatOffset(this.state.offsets[track])}`);
+      }
+    });
+
+    this.updateTranscript();
+
+    if (this.state.isActive) {
+      this.refreshOverlay();
+
+      if (this.state.saveTitleHandler) {
+        this.state.saveTitleHandler();
+      }
+    }
+  },
+
+  /**
+   * Apply changed study mode settings
+   * @param {Object} changes - Storage changes
+   */
+  handleStudyChange(changes) {
+    const settings = {};
+
+    ['studyMode', 'studyResumeDelay', 'studyMinCueLength'].forEach(key => {
+      if (changes[key]) {
+        settings[key] = changes[key].newValue;
+      }
+    });
+
+    this.applyStudySettings(settings);
+
+    if (changes.studyMode && this.state.isActive) {
+      SubtitleOverlay.showToast(`Study mode ${this.state.study.enabled ? 'on' : 'off'}`);
+    }
+  },
+
+  /**
+   * Apply changed timing corrections
+   * @param {Object} changes - Storage changes
+   */
+  handleCorrectionChange(changes) {
+    ['subtitle1', 'subtitle2'].forEach(track => {
+      const change = changes[this.getCorrectionKey(track)];
+      if (change) {
+        this.setTrackCorrection(track, change.newValue || null);
+      }
+    });
+
+    if (this.state.isActive) {
+      this.refreshOverlay();
+
+      if (this.state.saveTitleHandler) {
+        this.state.saveTitleHandler();
+      }
     }
   },
 
@@ -454,6 +2040,10 @@ const SubtitleManager = {
         subtitle2: this.state.subtitle2Subtitles.length
       },
       currentTime: this.state.currentTime,
+      displayMode: this.state.displayMode,
+      studyMode: this.state.study.enabled,
+      offsets: { ...this.state.offsets },
+      corrections: { ...this.state.corrections },
       lastTexts: {
         subtitle1: this.state.lastSubtitle1Text,
         subtitle2: this.state.lastSubtitle2Text
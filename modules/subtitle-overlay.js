@@ -20,6 +20,17 @@ const SubtitleOverlay = {
     ANIMATION: {
       DURATION: 200,
       EASING: 'ease-in-out'
+    },
+    EDGE_OFFSET: {
+      VERTICAL: '8%',
+      HORIZONTAL: '5%'
+    },
+    LINE_HEIGHT_EM: 1.5, // Height of one WebVTT snap-to-lines step
+    BOTTOM_REGION_LINE: 70, // WebVTT line percentages from here down count as the default bottom area
+    TOAST_DURATION: 1500, // milliseconds
+    REVEAL: {
+      BLUR: 'blur(6px)',
+      HOVER_MARGIN: 12 // pixels around a line that still count as hovering it
     }
   },
 
@@ -28,12 +39,24 @@ const SubtitleOverlay = {
     container: null,
     subtitle1Line: null,
     subtitle2Line: null,
+    positionLayer: null,
+    toast: null,
+    toastTimeout: null,
+    indicator: null,
     isVisible: false,
+    // Why a concealed track is currently shown anyway
+    reveal: {
+      hovered: { subtitle1: false, subtitle2: false },
+      revealed: { subtitle1: false, subtitle2: false }, // held key or line half over
+      pointer: null // last pointer position ({ x, y }), null outside the window
+    },
     currentSettings: {
       sizeSub1: 0,
       sizeSub2: 0,
       posSub1: 0,
-      posSub2: 0
+      posSub2: 0,
+      revealSub1: 'off', // 'off', 'blur' or 'hide' until revealed
+      revealSub2: 'off'
     }
   },
 
@@ -45,6 +68,7 @@ const SubtitleOverlay = {
     this.createOverlay();
     this.loadSettings();
     this.setupFullscreenHandler();
+    this.setupHoverReveal();
   },
   /**
    * Setup fullscreenchange event handler
@@ -62,6 +86,7 @@ const SubtitleOverlay = {
   handleFullscreenChange() {
     const overlay = this.state.container;
     if (!overlay) return;
+    const layer = this.state.positionLayer;
     const fullscreenElem = document.fullscreenElement;
     if (fullscreenElem) {
       fullscreenElem.appendChild(overlay);
@@ -69,12 +94,20 @@ const SubtitleOverlay = {
       overlay.style.left = '50%';
       overlay.style.bottom = '12%';
       overlay.style.transform = 'translateX(-50%)';
+      if (layer) {
+        fullscreenElem.appendChild(layer);
+        layer.style.position = 'absolute';
+      }
     } else {
       document.body.appendChild(overlay);
       overlay.style.position = 'fixed';
       overlay.style.left = '50%';
       overlay.style.bottom = '12%';
       overlay.style.transform = 'translateX(-50%)';
+      if (layer) {
+        document.body.appendChild(layer);
+        layer.style.position = 'fixed';
+      }
     }
   },
 
@@ -121,8 +154,12 @@ const SubtitleOverlay = {
       this.state.container.appendChild(this.state.subtitle1Line);
       this.state.container.appendChild(this.state.subtitle2Line);
 
+      // Create layer for cues positioned away from the bottom stack
+      this.state.positionLayer = this.createPositionLayer();
+
       // Add to document
       document.body.appendChild(this.state.container);
+      document.body.appendChild(this.state.positionLayer);
       
       Utils.log('Subtitle overlay created successfully');
     } catch (error) {
@@ -150,12 +187,40 @@ const SubtitleOverlay = {
       marginBottom: '4px',
       borderRadius: '6px',
       fontSize: `${this.CONFIG.BASE_FONT_SIZE}px`,
+      whiteSpace: 'pre-line',
       transition: `all ${this.CONFIG.ANIMATION.DURATION}ms ${this.CONFIG.ANIMATION.EASING}`
     });
 
     return line;
   },
 
+  /**
+   * Create the full-screen layer that holds individually positioned cues
+   * @returns {HTMLElement} Position layer element
+   */
+  createPositionLayer() {
+    const layer = Utils.createElement('div', { id: 'dual-subtitle-position-layer' });
+
+    if (!layer) {
+      throw new Error('Failed to create position layer');
+    }
+
+    Object.assign(layer.style, {
+      position: 'fixed',
+      top: '0',
+      left: '0',
+      width: '100%',
+      height: '100%',
+      zIndex: this.CONFIG.Z_INDEX.toString(),
+      pointerEvents: 'none',
+      userSelect: 'none',
+      fontFamily: this.CONFIG.FONT_FAMILY,
+      textShadow: this.CONFIG.COLORS.SHADOW
+    });
+
+    return layer;
+  },
+
   /**
    * Remove the overlay from the DOM
    */
@@ -164,10 +229,17 @@ const SubtitleOverlay = {
       if (this.state.container && this.state.container.parentNode) {
         this.state.container.parentNode.removeChild(this.state.container);
       }
+
+      if (this.state.positionLayer && this.state.positionLayer.parentNode) {
+        this.state.positionLayer.parentNode.removeChild(this.state.positionLayer);
+      }
       
       this.state.container = null;
       this.state.subtitle1Line = null;
       this.state.subtitle2Line = null;
+      this.state.positionLayer = null;
+      this.state.toast = null;
+      this.state.indicator = null;
       this.state.isVisible = false;
       
       Utils.log('Subtitle overlay removed');
@@ -177,44 +249,510 @@ const SubtitleOverlay = {
   },
 
   /**
-   * Update the overlay with new subtitle text
-   * @param {string} subtitle1Text - Subtitle 1 text
-   * @param {string} subtitle2Text - Subtitle 2 text
+   * Update overlay with all cues active on each track
+   * @param {Array|Object|string} subtitle1 - Subtitle 1 cues (array, single cue or text)
+   * @param {Array|Object|string} subtitle2 - Subtitle 2 cues (array, single cue or text)
+   * @param {Object} options - Display options
+   * @param {boolean} options.readingOrder - Stack cues top to bottom in start order
+   *   (for paired lines) instead of earliest at the bottom
    */
-  updateOverlay(subtitle1Text, subtitle2Text) {
+  updateOverlay(subtitle1, subtitle2, options = {}) {
     try {
+      const subtitle1Cues = this.toCueList(subtitle1);
+      const subtitle2Cues = this.toCueList(subtitle2);
+
       // Create overlay if it doesn't exist and we have text to show
-      if (!this.state.container && (subtitle1Text || subtitle2Text)) {
+      if (!this.state.container && (subtitle1Cues.length > 0 || subtitle2Cues.length > 0)) {
         this.createOverlay();
       }
 
       if (!this.state.container) return;
 
+      this.clearPositionedCues();
+
       // Update text content
-      if (this.state.subtitle1Line) {
-        this.state.subtitle1Line.textContent = subtitle1Text || '';
-      }
-      
-      if (this.state.subtitle2Line) {
-        this.state.subtitle2Line.textContent = subtitle2Text || '';
-      }
+      const { readingOrder = false } = options;
+      this.renderTrackCues(this.state.subtitle1Line, subtitle1Cues, 'sizeSub1', this.CONFIG.COLORS.SUBTITLE_1, readingOrder);
+      this.renderTrackCues(this.state.subtitle2Line, subtitle2Cues, 'sizeSub2', this.CONFIG.COLORS.SUBTITLE_2, readingOrder);
 
-      // Apply current settings
+      // Apply current settings (including reveal mode) to the new content
       this.applySettings();
 
-      // Show/hide overlay based on content
-      if (subtitle1Text || subtitle2Text) {
+      // New cues may appear under a pointer that isn't moving
+      this.refreshHover();
+
+      // Show/hide overlay based on stacked content
+      const hasStackedText = [this.state.subtitle1Line, this.state.subtitle2Line]
+        .some(line => line && line.textContent);
+
+      if (hasStackedText) {
         this.show();
       } else {
         this.hide();
       }
-
-      // Utils.log(`Overlay updated - Sub 1: "${subtitle1Text}", Sub 2: "${subtitle2Text}"`);
     } catch (error) {
       Utils.log(`Error updating overlay: ${error.message}`, 'error');
     }
   },
 
+  /**
+   * Normalize overlay input to a list of non-empty cues
+   * @param {Array|Object|string} cues - Cue array, single cue or text
+   * @returns {Array} Cues (objects or strings) with text
+   */
+  toCueList(cues) {
+    const list = Array.isArray(cues) ? cues : [cues];
+    return list.filter(cue => this.getCueText(cue));
+  },
+
+  /**
+   * Get the display text of a cue object or plain string
+   * @param {Object|string} cue - Cue object or text
+   * @returns {string} Cue text
+   */
+  getCueText(cue) {
+    if (!cue) return '';
+    return typeof cue === 'string' ? cue : (cue.text || '');
+  },
+
+  /**
+   * Render one track's active cues. Cues with their own placement go to the
+   * position layer; the rest stack in the track line, earliest at the bottom
+   * as in WebVTT rendering.
+   * @param {HTMLElement} line - Track line element
+   * @param {Array} cues - Active cues in start order
+   * @param {string} sizeKey - Settings key for the track's font size
+   * @param {string} defaultColor - Track colour
+   * @param {boolean} readingOrder - Stack top to bottom in start order instead
+   */
+  renderTrackCues(line, cues, sizeKey, defaultColor, readingOrder = false) {
+    if (!line) return;
+
+    const stacked = [];
+
+    cues.forEach(cue => {
+      const placement = this.getCuePlacement(cue);
+
+      if (placement && this.state.positionLayer) {
+        this.renderPositionedCue(cue, placement, sizeKey, defaultColor, line.id);
+      } else {
+        stacked.push(cue);
+      }
+    });
+
+    line.textContent = '';
+    (readingOrder ? stacked : stacked.slice().reverse()).forEach(cue => {
+      const element = Utils.createElement('div', {
+        className: 'dual-subtitle-cue'
+      });
+      CueTextRenderer.render(element, this.getCueText(cue));
+      this.applyCueStyle(element, cue, defaultColor);
+      line.appendChild(element);
+    });
+
+    this.applyCueStyle(line, null, defaultColor);
+    line.style.display = line.textContent ? '' : 'none';
+  },
+
+  /**
+   * Render a cue that carries its own placement into the position layer
+   * @param {Object} cue - Cue object
+   * @param {Object} placement - CSS position properties
+   * @param {string} sizeKey - Settings key for the track's font size
+   * @param {string} defaultColor - Track colour
+   * @param {string} lineId - ID of the track line the cue belongs to
+   */
+  renderPositionedCue(cue, placement, sizeKey, defaultColor, lineId) {
+    const placementKey = [placement.top, placement.bottom, placement.left, placement.right].join('|');
+    const element = Utils.createElement('div', {
+      className: 'dual-subtitle-positioned-cue',
+      'data-line': lineId,
+      'data-placement': placementKey
+    });
+    // Text sits in its own node so reveal mode can conceal it but not the box
+    const text = Utils.createElement('span', { className: 'dual-subtitle-cue-text' });
+    CueTextRenderer.render(text, this.getCueText(cue));
+    element.appendChild(text);
+
+    Object.assign(element.style, {
+      position: 'absolute',
+      maxWidth: this.CONFIG.MAX_WIDTH,
+      backgroundColor: this.CONFIG.COLORS.BACKGROUND,
+      padding: '4px 8px',
+      borderRadius: '6px',
+      whiteSpace: 'pre-line',
+      fontSize: `${this.CONFIG.BASE_FONT_SIZE + this.state.currentSettings[sizeKey]}px`
+    });
+    this.applyCueStyle(element, cue, defaultColor);
+    Object.assign(element.style, placement);
+
+    // Higher ASS layers are drawn on top
+    if (typeof cue.layer === 'number') {
+      element.style.zIndex = String(cue.layer);
+    }
+
+    // Move below the other track's cues placed at the same spot
+    const overlap = Array.from(this.state.positionLayer.querySelectorAll('.dual-subtitle-positioned-cue'))
+      .filter(other => other.dataset.placement === placementKey && other.dataset.line !== lineId)
+      .reduce((height, other) => height + other.offsetHeight, 0);
+    if (overlap > 0) {
+      element.style.marginTop = `${overlap}px`;
+    }
+
+    this.state.positionLayer.appendChild(element);
+  },
+
+  /**
+   * Apply a cue's author style (colour, weight, slant, alignment) to an element
+   * @param {HTMLElement} element - Target element
+   * @param {Object|string|null} cue - Cue object; plain text resets to track defaults
+   * @param {string} defaultColor - Track colour
+   */
+  applyCueStyle(element, cue, defaultColor) {
+    const style = (cue && typeof cue === 'object' && cue.style) || {};
+    const settings = (cue && typeof cue === 'object' && cue.settings) || {};
+
+    // White is the ASS default and would erase the per-track colour
+    element.style.color = style.color && style.color !== '#FFFFFF' ? style.color : defaultColor;
+    element.style.fontWeight = style.bold ? 'bold' : '';
+    element.style.fontStyle = style.italic ? 'italic' : '';
+    element.style.textDecoration = style.underline ? 'underline' : '';
+    element.style.fontFamily = style.fontFamily ? `"${style.fontFamily}", ${this.CONFIG.FONT_FAMILY}` : '';
+    element.style.textAlign = style.alignment ? ['left', 'center', 'right'][(style.alignment - 1) % 3] : '';
+
+    if (settings.align) {
+      element.style.textAlign = settings.align;
+    }
+  },
+
+  /**
+   * Work out where a cue should be placed outside the bottom stack
+   * @param {Object|string} cue - Cue object or text
+   * @returns {Object|null} CSS position properties, or null to keep the cue stacked
+   */
+  getCuePlacement(cue) {
+    if (!cue || typeof cue !== 'object') return null;
+
+    if (cue.settings) {
+      return this.getSettingsPlacement(cue.settings);
+    }
+
+    if (cue.style && cue.style.alignment) {
+      return this.getAlignmentPlacement(cue.style.alignment);
+    }
+
+    return null;
+  },
+
+  /**
+   * Check whether WebVTT cue settings keep a cue in the default bottom area.
+   * Streaming subtitles set line/position on nearly every cue, so these stay
+   * in the stack where both tracks get their own row and position setting.
+   * @param {Object} settings - Parsed cue settings
+   * @returns {boolean} True if the cue belongs in the bottom stack
+   */
+  isBottomRegion(settings) {
+    // position/align/size alone only move the cue sideways
+    if (settings.line === undefined) return true;
+
+    // Negative line numbers count up from the bottom
+    if (settings.snapToLines) return settings.line < 0;
+
+    return settings.line >= this.CONFIG.BOTTOM_REGION_LINE;
+  },
+
+  /**
+   * Place a cue according to its WebVTT cue settings
+   * @param {Object} settings - Parsed cue settings
+   * @returns {Object|null} CSS position properties, or null for the default bottom area
+   */
+  getSettingsPlacement(settings) {
+    if (this.isBottomRegion(settings)) return null;
+
+    const hasPosition = settings.position !== undefined;
+    const placement = {};
+    const transforms = [];
+
+    if (settings.snapToLines) {
+      // Line numbers count from the top
+      placement.top = `${settings.line * this.CONFIG.LINE_HEIGHT_EM}em`;
+    } else {
+      placement.top = `${settings.line}%`;
+      if (settings.lineAlign === 'center') {
+        transforms.push('translateY(-50%)');
+      } else if (settings.lineAlign === 'end') {
+        transforms.push('translateY(-100%)');
+      }
+    }
+
+    const alignDefaults = { start: 'line-left', left: 'line-left', end: 'line-right', right: 'line-right' };
+    const positionAlign = settings.positionAlign || alignDefaults[settings.align] || 'center';
+    const defaultPosition = { 'line-left': 0, 'line-right': 100 }[positionAlign];
+    const position = hasPosition ? settings.position : (defaultPosition !== undefined ? defaultPosition : 50);
+
+    placement.left = `${position}%`;
+    if (positionAlign === 'center') {
+      transforms.unshift('translateX(-50%)');
+    } else if (positionAlign === 'line-right') {
+      transforms.unshift('translateX(-100%)');
+    }
+
+    if (settings.size !== undefined) {
+      placement.width = `${settings.size}%`;
+      placement.maxWidth = '100%';
+    }
+
+    if (settings.vertical) {
+      placement.writingMode = settings.vertical === 'lr' ? 'vertical-lr' : 'vertical-rl';
+    }
+
+    placement.transform = transforms.join(' ');
+    return placement;
+  },
+
+  /**
+   * Place a cue according to an ASS numpad alignment
+   * @param {number} alignment - Numpad alignment (1-9)
+   * @returns {Object|null} CSS position properties, or null for the bottom row
+   */
+  getAlignmentPlacement(alignment) {
+    // Numpad layout: 1-3 bottom row (stays stacked), 4-6 middle, 7-9 top
+    if (alignment <= 3) return null;
+
+    const { VERTICAL, HORIZONTAL } = this.CONFIG.EDGE_OFFSET;
+    const column = (alignment - 1) % 3;
+    const placement = {};
+    const transforms = [];
+
+    if (alignment >= 7) {
+      placement.top = VERTICAL;
+    } else {
+      placement.top = '50%';
+      transforms.push('translateY(-50%)');
+    }
+
+    if (column === 0) {
+      placement.left = HORIZONTAL;
+    } else if (column === 2) {
+      placement.right = HORIZONTAL;
+    } else {
+      placement.left = '50%';
+      transforms.unshift('translateX(-50%)');
+    }
+
+    placement.transform = transforms.join(' ');
+    return placement;
+  },
+
+  /**
+   * Remove all cues from the position layer
+   */
+  clearPositionedCues() {
+    if (this.state.positionLayer) {
+      this.state.positionLayer.querySelectorAll('.dual-subtitle-positioned-cue')
+        .forEach(element => element.remove());
+    }
+  },
+
+  /**
+   * Briefly show a message near the top of the video
+   * @param {string} message - Message text
+   * @param {number} duration - Milliseconds before the message fades out
+   */
+  showToast(message, duration = this.CONFIG.TOAST_DURATION) {
+    try {
+      if (!this.state.positionLayer) return;
+
+      if (!this.state.toast) {
+        this.state.toast = Utils.createElement('div', { className: 'dual-subtitle-toast' });
+        Object.assign(this.state.toast.style, {
+          position: 'absolute',
+          top: this.CONFIG.EDGE_OFFSET.VERTICAL,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          padding: '6px 12px',
+          borderRadius: '6px',
+          backgroundColor: this.CONFIG.COLORS.BACKGROUND,
+          color: this.CONFIG.COLORS.SUBTITLE_2,
+          fontSize: `${this.CONFIG.BASE_FONT_SIZE}px`,
+          transition: `opacity ${this.CONFIG.ANIMATION.DURATION}ms ${this.CONFIG.ANIMATION.EASING}`
+        });
+      }
+
+      const toast = this.state.toast;
+      toast.textContent = message;
+      toast.style.opacity = '1';
+      this.state.positionLayer.appendChild(toast);
+
+      clearTimeout(this.state.toastTimeout);
+      this.state.toastTimeout = setTimeout(() => {
+        toast.style.opacity = '0';
+      }, duration);
+    } catch (error) {
+      Utils.log(`Error showing toast: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Show a small status label in the top-left corner of the video
+   * @param {string} text - Label text; empty to remove the label
+   */
+  setIndicator(text) {
+    try {
+      if (!text) {
+        if (this.state.indicator) this.state.indicator.remove();
+        return;
+      }
+
+      if (!this.state.positionLayer) return;
+
+      if (!this.state.indicator) {
+        this.state.indicator = Utils.createElement('div', { className: 'dual-subtitle-indicator' });
+        Object.assign(this.state.indicator.style, {
+          position: 'absolute',
+          top: this.CONFIG.EDGE_OFFSET.VERTICAL,
+          left: this.CONFIG.EDGE_OFFSET.HORIZONTAL,
+          padding: '2px 8px',
+          borderRadius: '4px',
+          backgroundColor: this.CONFIG.COLORS.BACKGROUND,
+          color: this.CONFIG.COLORS.SUBTITLE_1,
+          fontSize: '12px',
+          opacity: '0.8'
+        });
+      }
+
+      this.state.indicator.textContent = text;
+      this.state.positionLayer.appendChild(this.state.indicator);
+    } catch (error) {
+      Utils.log(`Error showing indicator: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Track the pointer over concealed lines. The overlay keeps
+   * pointer-events off so clicks still reach the player, so hovering is
+   * found by comparing the pointer with the line boxes instead.
+   */
+  setupHoverReveal() {
+    document.addEventListener('mousemove', event => this.handlePointerMove(event.clientX, event.clientY), {
+      capture: true,
+      passive: true
+    });
+    // Pointer left the window
+    document.addEventListener('mouseout', event => {
+      if (!event.relatedTarget) this.handlePointerMove(null, null);
+    }, { capture: true, passive: true });
+  },
+
+  /**
+   * Update which concealed tracks the pointer is over
+   * @param {number|null} x - Pointer X in viewport pixels (null when outside the window)
+   * @param {number|null} y - Pointer Y in viewport pixels
+   */
+  handlePointerMove(x, y) {
+    this.state.reveal.pointer = x === null ? null : { x, y };
+
+    ['subtitle1', 'subtitle2'].forEach(track => {
+      if (this.getRevealMode(track) === 'off') return;
+
+      const hovered = x !== null && this.getTrackElements(track).some(element => this.isPointerOver(element, x, y));
+
+      if (hovered !== this.state.reveal.hovered[track]) {
+        this.state.reveal.hovered[track] = hovered;
+        this.applyConcealment(track);
+      }
+    });
+  },
+
+  /**
+   * Check the hover state again at the last pointer position, after the
+   * cues under it changed
+   */
+  refreshHover() {
+    if (!this.hasRevealMode()) return;
+
+    const { pointer } = this.state.reveal;
+    this.handlePointerMove(pointer ? pointer.x : null, pointer ? pointer.y : null);
+  },
+
+  /**
+   * Check whether a point lies on an element's box (plus the hover margin)
+   * @param {HTMLElement} element - Element
+   * @param {number} x - X in viewport pixels
+   * @param {number} y - Y in viewport pixels
+   * @returns {boolean} True if over the element
+   */
+  isPointerOver(element, x, y) {
+    const rect = element.getBoundingClientRect();
+    const margin = this.CONFIG.REVEAL.HOVER_MARGIN;
+
+    return rect.width > 0 && rect.height > 0 &&
+      x >= rect.left - margin && x <= rect.right + margin &&
+      y >= rect.top - margin && y <= rect.bottom + margin;
+  },
+
+  /**
+   * Get a track's reveal mode
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @returns {string} 'off', 'blur' or 'hide'
+   */
+  getRevealMode(track) {
+    return this.state.currentSettings[track === 'subtitle1' ? 'revealSub1' : 'revealSub2'] || 'off';
+  },
+
+  /**
+   * Check whether any track is set to be concealed
+   * @returns {boolean} True if a reveal mode is on
+   */
+  hasRevealMode() {
+    return this.getRevealMode('subtitle1') !== 'off' || this.getRevealMode('subtitle2') !== 'off';
+  },
+
+  /**
+   * Show a concealed track regardless of hovering, e.g. while the reveal key is held
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @param {boolean} revealed - True to show it
+   */
+  setRevealed(track, revealed) {
+    if (this.state.reveal.revealed[track] === revealed) return;
+
+    this.state.reveal.revealed[track] = revealed;
+    this.applyConcealment(track);
+  },
+
+  /**
+   * Get the displayed boxes of a track: its stacked line and positioned cues
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   * @returns {Array<HTMLElement>} Elements
+   */
+  getTrackElements(track) {
+    const line = track === 'subtitle1' ? this.state.subtitle1Line : this.state.subtitle2Line;
+    if (!line) return [];
+
+    const positioned = this.state.positionLayer
+      ? Array.from(this.state.positionLayer.querySelectorAll(`.dual-subtitle-positioned-cue[data-line="${line.id}"]`))
+      : [];
+
+    return [line, ...positioned];
+  },
+
+  /**
+   * Blur or hide a track's text (keeping its background box to hover) unless revealed
+   * @param {string} track - Track key ('subtitle1' or 'subtitle2')
+   */
+  applyConcealment(track) {
+    const mode = this.getRevealMode(track);
+    const { hovered, revealed } = this.state.reveal;
+    const concealed = mode !== 'off' && !hovered[track] && !revealed[track];
+
+    this.getTrackElements(track).forEach(element => {
+      Array.from(element.children).forEach(content => {
+        content.style.filter = concealed && mode === 'blur' ? this.CONFIG.REVEAL.BLUR : '';
+        content.style.visibility = concealed && mode === 'hide' ? 'hidden' : '';
+      });
+    });
+  },
+
   /**
    * Show the overlay with fade-in animation
    */
@@ -266,6 +804,9 @@ const SubtitleOverlay = {
         this.state.subtitle2Line.style.fontSize = `${this.CONFIG.BASE_FONT_SIZE + sizeSub2}px`;
         this.state.subtitle2Line.style.marginBottom = `${this.CONFIG.BASE_POSITION + posSub2}px`;
       }
+
+      this.applyConcealment('subtitle1');
+      this.applyConcealment('subtitle2');
     } catch (error) {
       Utils.log(`Error applying settings: ${error.message}`, 'error');
     }
@@ -290,13 +831,17 @@ const SubtitleOverlay = {
    */
   async loadSettings() {
     try {
-      const result = await chrome.storage.local.get(['sizeSub1', 'sizeSub2', 'posSub1', 'posSub2']);
+      const result = await chrome.storage.local.get([
+        'sizeSub1', 'sizeSub2', 'posSub1', 'posSub2', 'revealSub1', 'revealSub2'
+      ]);
       
       this.state.currentSettings = {
         sizeSub1: result.sizeSub1 || 0,
         sizeSub2: result.sizeSub2 || 0,
         posSub1: result.posSub1 || 0,
-        posSub2: result.posSub2 || 0
+        posSub2: result.posSub2 || 0,
+        revealSub1: result.revealSub1 || 'off',
+        revealSub2: result.revealSub2 || 'off'
       };
 
       this.applySettings();
@@ -1,25 +1,133 @@
 /**
  * Subtitle Parser Module
- * Handles VTT file parsing and subtitle data management
+ * Handles subtitle file parsing (VTT, SRT, TTML, ASS/SSA) and subtitle data management
  */
 
 const SubtitleParser = {
+  // File extensions recognised for each supported format
+  FORMAT_EXTENSIONS: {
+    vtt: ['vtt', 'webvtt'],
+    srt: ['srt'],
+    ttml: ['ttml', 'ttml2', 'dfxp', 'xml', 'imsc'],
+    ass: ['ass', 'ssa']
+  },
+
+  // Upper bound when probing how many guessed segments a track has
+  MAX_GUESSED_SEGMENTS: 10000,
+
   /**
-   * Parse VTT content and extract subtitle data
+   * Detect subtitle format from a URL's file extension
+   * @param {string} url - Subtitle URL
+   * @returns {string|null} Format name or null if unknown
+   */
+  detectFormatFromUrl(url) {
+    if (!url) return null;
+
+    const path = url.split(/[?#]/)[0];
+    const match = path.match(/\.([a-z0-9]+)$/i);
+    if (!match) return null;
+
+    const extension = match[1].toLowerCase();
+    const format = Object.keys(this.FORMAT_EXTENSIONS).find(name =>
+      this.FORMAT_EXTENSIONS[name].includes(extension)
+    );
+
+    return format || null;
+  },
+
+  /**
+   * Detect subtitle format by sniffing the content
+   * @param {string} content - Raw subtitle content
+   * @returns {string|null} Format name or null if inconclusive
+   */
+  detectFormatFromContent(content) {
+    if (!content) return null;
+
+    const head = content.replace(/^\uFEFF/, '').trimStart();
+
+    if (head.startsWith('WEBVTT')) return 'vtt';
+    if (/^\[Script Info\]/i.test(head)) return 'ass';
+    if (/<(?:\w+:)?tt[\s>]/.test(head.slice(0, 2048))) return 'ttml';
+    if (/\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/.test(head)) return 'srt';
+    if (/(?:\d{2}:)?\d{2}:\d{2}\.\d{3}\s*-->/.test(head)) return 'vtt';
+
+    return null;
+  },
+
+  /**
+   * Detect subtitle format, preferring the content over the URL
+   * @param {string} url - Subtitle URL
+   * @param {string} content - Raw subtitle content
+   * @returns {string} Format name (defaults to 'vtt')
+   */
+  detectFormat(url, content) {
+    return this.detectFormatFromContent(content) || this.detectFormatFromUrl(url) || 'vtt';
+  },
+
+  /**
+   * Parse subtitle content with the parser for the given format
+   * @param {string} content - Raw subtitle content
+   * @param {string} format - Format name (vtt, srt, ttml, ass)
+   * @returns {Array} Array of subtitle objects
+   */
+  parse(content, format) {
+    switch (format) {
+      case 'srt':
+        return this.parseSRT(content);
+      case 'ttml':
+        return this.parseTTML(content);
+      case 'ass':
+        return this.parseASS(content);
+      case 'vtt':
+      default:
+        return this.parseVTT(content);
+    }
+  },
+
+  // MPEG-TS presentation timestamps run at 90kHz and wrap at 2^33
+  MPEGTS_CLOCK: 90000,
+  MPEGTS_ROLLOVER: Math.pow(2, 33),
+
+  /**
+   * Parse VTT content and extract subtitle data. Concatenated segments are
+   * supported: every WEBVTT header starts a new segment, and its
+   * X-TIMESTAMP-MAP header shifts that segment's cues onto video time.
    * @param {string} vttText - Raw VTT content
+   * @param {Object} options - Parse options
+   * @param {number} options.mpegtsBase - MPEGTS value that maps to video time 0
+   *   (defaults to the first MPEGTS value found)
    * @returns {Array} Array of subtitle objects
    */
-  parseVTT(vttText) {
+  parseVTT(vttText, options = {}) {
     try {
       const lines = vttText.split(/\r?\n/);
       const subtitles = [];
+      let mpegtsBase = options.mpegtsBase;
+      let segmentOffset = 0;
       
       for (let i = 0; i < lines.length;) {
         const line = lines[i].trim();
+
+        // Each segment header resets the timestamp mapping
+        if (line.startsWith('WEBVTT')) {
+          segmentOffset = 0;
+          i++;
+          continue;
+        }
+
+        const timestampMap = this.parseTimestampMap(line);
+        if (timestampMap) {
+          if (mpegtsBase === undefined) {
+            mpegtsBase = timestampMap.mpegts;
+          }
+          segmentOffset = this.getTimestampMapOffset(timestampMap, mpegtsBase);
+          i++;
+          continue;
+        }
         
         // Check for timestamp line
         if (this.isTimestampLine(line)) {
-          const [start, end] = line.split(' --> ');
+          const [start, end] = line.split(/\s+-->\s+/);
           i++;
           
           // Collect text lines until empty line
@@ -28,13 +136,19 @@ const SubtitleParser = {
             textLines.push(lines[i++]);
           }
           
+          const [endTime, ...settingTokens] = end.trim().split(/\s+/);
           const subtitle = {
-            startTime: Utils.timeToSeconds(start),
-            endTime: Utils.timeToSeconds(end.split(' ')[0]),
+            startTime: Utils.timeToSeconds(start) + segmentOffset,
+            endTime: Utils.timeToSeconds(endTime) + segmentOffset,
             text: textLines.join('\n').trim(),
             originalStart: start,
             originalEnd: end
           };
+
+          const settings = this.parseCueSettings(settingTokens);
+          if (settings) {
+            subtitle.settings = settings;
+          }
           
           if (subtitle.text) {
             subtitles.push(subtitle);
@@ -52,13 +166,647 @@ const SubtitleParser = {
     }
   },
 
+  /**
+   * Parse an HLS X-TIMESTAMP-MAP header line
+   * @param {string} line - Header line, e.g. X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000
+   * @returns {Object|null} { mpegts, local } (local in seconds) or null if not a map line
+   */
+  parseTimestampMap(line) {
+    if (!line.startsWith('X-TIMESTAMP-MAP=')) return null;
+
+    const mpegts = line.match(/MPEGTS:(\d+)/);
+    const local = line.match(/LOCAL:((?:\d+:)?\d{2}:\d{2}\.\d{3})/);
+
+    return {
+      mpegts: mpegts ? parseInt(mpegts[1], 10) : 0,
+      local: local ? Utils.timeToSeconds(local[1]) : 0
+    };
+  },
+
+  /**
+   * Find the MPEGTS value of the first X-TIMESTAMP-MAP header in VTT content
+   * @param {string} vttText - Raw VTT content
+   * @returns {number|undefined} MPEGTS value, or undefined if there is no map
+   */
+  findMpegtsBase(vttText) {
+    const match = vttText.match(/^X-TIMESTAMP-MAP=.*$/m);
+    const timestampMap = match ? this.parseTimestampMap(match[0].trim()) : null;
+    return timestampMap ? timestampMap.mpegts : undefined;
+  },
+
+  /**
+   * Seconds to add to a segment's cue times so they line up with video time
+   * @param {Object} timestampMap - Result of parseTimestampMap
+   * @param {number} mpegtsBase - MPEGTS value that maps to video time 0
+   * @returns {number} Offset in seconds
+   */
+  getTimestampMapOffset(timestampMap, mpegtsBase) {
+    let mpegts = timestampMap.mpegts;
+
+    // Account for the 33-bit PTS counter wrapping between segments
+    if (mpegts < mpegtsBase) {
+      mpegts += this.MPEGTS_ROLLOVER;
+    }
+
+    return (mpegts - mpegtsBase) / this.MPEGTS_CLOCK - timestampMap.local;
+  },
+
+  /**
+   * Parse WebVTT cue settings (line, position, size, align, vertical, region)
+   * @param {Array<string>} tokens - Setting tokens following the end timestamp
+   * @returns {Object|null} Settings object, or null if the cue has none
+   */
+  parseCueSettings(tokens) {
+    const settings = {};
+    const percentPattern = /^\d+(?:\.\d+)?%$/;
+
+    tokens.forEach(token => {
+      const separator = token.indexOf(':');
+      if (separator <= 0) return;
+
+      const name = token.slice(0, separator);
+      const [value, alignment] = token.slice(separator + 1).split(',');
+
+      switch (name) {
+        case 'line':
+          if (percentPattern.test(value)) {
+            settings.line = parseFloat(value);
+            settings.snapToLines = false;
+          } else if (/^-?\d+$/.test(value)) {
+            settings.line = parseInt(value, 10);
+            settings.snapToLines = true;
+          }
+          if (['start', 'center', 'end'].includes(alignment)) {
+            settings.lineAlign = alignment;
+          }
+          break;
+        case 'position':
+          if (percentPattern.test(value)) {
+            settings.position = parseFloat(value);
+          }
+          if (alignment) {
+            const positionAlign = { start: 'line-left', middle: 'center', end: 'line-right' }[alignment] || alignment;
+            if (['line-left', 'center', 'line-right'].includes(positionAlign)) {
+              settings.positionAlign = positionAlign;
+            }
+          }
+          break;
+        case 'size':
+          if (percentPattern.test(value)) {
+            settings.size = parseFloat(value);
+          }
+          break;
+        case 'align': {
+          const align = value === 'middle' ? 'center' : value;
+          if (['start', 'center', 'end', 'left', 'right'].includes(align)) {
+            settings.align = align;
+          }
+          break;
+        }
+        case 'vertical':
+          if (value === 'rl' || value === 'lr') {
+            settings.vertical = value;
+          }
+          break;
+        case 'region':
+          settings.region = value;
+          break;
+      }
+    });
+
+    return Object.keys(settings).length > 0 ? settings : null;
+  },
+
+  /**
+   * Parse SRT content and extract subtitle data
+   * @param {string} srtText - Raw SRT content
+   * @returns {Array} Array of subtitle objects
+   */
+  parseSRT(srtText) {
+    try {
+      const lines = srtText.replace(/^\uFEFF/, '').split(/\r?\n/);
+      const subtitles = [];
+
+      for (let i = 0; i < lines.length;) {
+        const line = lines[i].trim();
+
+        // Numeric cue indices are skipped along with any other non-timestamp line
+        if (this.isSRTTimestampLine(line)) {
+          const [start, end] = line.split(/\s*-->\s*/);
+          i++;
+
+          // Collect text lines until empty line
+          let textLines = [];
+          while (i < lines.length && lines[i].trim() !== '') {
+            textLines.push(lines[i++]);
+          }
+
+          const subtitle = {
+            startTime: Utils.timeToSeconds(start.replace(',', '.')),
+            endTime: Utils.timeToSeconds(end.split(' ')[0].replace(',', '.')),
+            text: this.stripFontTags(textLines.join('\n')).trim(),
+            originalStart: start,
+            originalEnd: end
+          };
+
+          if (subtitle.text) {
+            subtitles.push(subtitle);
+          }
+        } else {
+          i++;
+        }
+      }
+
+      Utils.log(`Parsed ${subtitles.length} subtitles from SRT`);
+      return subtitles;
+    } catch (error) {
+      Utils.log(`Error parsing SRT: ${error.message}`, 'error');
+      return [];
+    }
+  },
+
+  /**
+   * Parse TTML / DFXP / IMSC content and extract subtitle data
+   * @param {string} ttmlText - Raw TTML XML content
+   * @returns {Array} Array of subtitle objects
+   */
+  parseTTML(ttmlText) {
+    try {
+      const doc = new DOMParser().parseFromString(ttmlText.replace(/^\uFEFF/, ''), 'application/xml');
+
+      if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid TTML XML');
+      }
+
+      const root = doc.documentElement;
+      const timing = this.getTTMLTimingParams(root);
+      const regions = this.getTTMLRegions(doc);
+      const body = this.findTTMLElements(root, 'body')[0];
+      const subtitles = [];
+
+      if (!body) {
+        throw new Error('TTML document has no body');
+      }
+
+      // Walk body > div > p, resolving times relative to each parent
+      const visit = (element, parentBegin, parentEnd, parentRegion) => {
+        const interval = this.resolveTTMLInterval(element, parentBegin, parentEnd, timing);
+        const regionId = this.getTTMLAttribute(element, 'region') || parentRegion;
+
+        if (element.localName === 'p') {
+          const text = this.extractTTMLText(element);
+
+          if (text && interval.end !== null && interval.end > interval.begin) {
+            const subtitle = {
+              startTime: interval.begin,
+              endTime: interval.end,
+              text,
+              originalStart: this.getTTMLAttribute(element, 'begin'),
+              originalEnd: this.getTTMLAttribute(element, 'end') || this.getTTMLAttribute(element, 'dur')
+            };
+
+            if (regionId && regions[regionId]) {
+              subtitle.region = regions[regionId];
+            }
+
+            subtitles.push(subtitle);
+          }
+          return;
+        }
+
+        Array.from(element.children).forEach(child => {
+          visit(child, interval.begin, interval.end, regionId);
+        });
+      };
+
+      visit(body, 0, null, null);
+      subtitles.sort((a, b) => a.startTime - b.startTime);
+
+      Utils.log(`Parsed ${subtitles.length} subtitles from TTML`);
+      return subtitles;
+    } catch (error) {
+      Utils.log(`Error parsing TTML: ${error.message}`, 'error');
+      return [];
+    }
+  },
+
+  /**
+   * Read a TTML attribute by local name, ignoring its namespace prefix
+   * @param {Element} element - TTML element
+   * @param {string} name - Attribute local name (e.g. 'begin', 'tickRate')
+   * @returns {string|null} Attribute value or null
+   */
+  getTTMLAttribute(element, name) {
+    const attribute = Array.from(element.attributes || []).find(attr => attr.localName === name);
+    return attribute ? attribute.value.trim() : null;
+  },
+
+  /**
+   * Find descendant elements by local name regardless of namespace prefix
+   * @param {Element|Document} parent - Parent node
+   * @param {string} localName - Element local name
+   * @returns {Array<Element>} Matching elements
+   */
+  findTTMLElements(parent, localName) {
+    return Array.from(parent.getElementsByTagNameNS('*', localName));
+  },
+
+  /**
+   * Read the timing parameters declared on the TTML root element
+   * @param {Element} root - <tt> element
+   * @returns {Object} Frame rate, sub-frame rate and tick rate
+   */
+  getTTMLTimingParams(root) {
+    const frameRate = parseFloat(this.getTTMLAttribute(root, 'frameRate')) || 30;
+    const subFrameRate = parseFloat(this.getTTMLAttribute(root, 'subFrameRate')) || 1;
+    const multiplier = (this.getTTMLAttribute(root, 'frameRateMultiplier') || '1 1')
+      .split(/\s+/)
+      .map(Number);
+    const effectiveFrameRate = frameRate * ((multiplier[0] || 1) / (multiplier[1] || 1));
+    const declaredTickRate = parseFloat(this.getTTMLAttribute(root, 'tickRate'));
+
+    // Per TTML, tickRate defaults to frameRate * subFrameRate when a frame rate is declared
+    const tickRate = declaredTickRate ||
+      (this.getTTMLAttribute(root, 'frameRate') ? frameRate * subFrameRate : 1);
+
+    return { frameRate: effectiveFrameRate, subFrameRate, tickRate };
+  },
+
+  /**
+   * Collect <region> definitions keyed by xml:id
+   * @param {Document} doc - TTML document
+   * @returns {Object} Region map
+   */
+  getTTMLRegions(doc) {
+    const regions = {};
+
+    this.findTTMLElements(doc, 'region').forEach(region => {
+      const id = this.getTTMLAttribute(region, 'id');
+      if (!id) return;
+
+      regions[id] = {
+        id,
+        origin: this.getTTMLAttribute(region, 'origin'),
+        extent: this.getTTMLAttribute(region, 'extent'),
+        displayAlign: this.getTTMLAttribute(region, 'displayAlign'),
+        textAlign: this.getTTMLAttribute(region, 'textAlign')
+      };
+    });
+
+    return regions;
+  },
+
+  /**
+   * Resolve an element's active interval from begin/end/dur attributes
+   * @param {Element} element - TTML element
+   * @param {number} parentBegin - Parent begin time in seconds
+   * @param {number|null} parentEnd - Parent end time in seconds (null if open)
+   * @param {Object} timing - Timing parameters from getTTMLTimingParams
+   * @returns {Object} { begin, end } in seconds
+   */
+  resolveTTMLInterval(element, parentBegin, parentEnd, timing) {
+    const beginValue = this.parseTTMLTime(this.getTTMLAttribute(element, 'begin'), timing);
+    const endValue = this.parseTTMLTime(this.getTTMLAttribute(element, 'end'), timing);
+    const durValue = this.parseTTMLTime(this.getTTMLAttribute(element, 'dur'), timing);
+
+    const begin = parentBegin + (beginValue || 0);
+    let end = parentEnd;
+
+    if (endValue !== null) {
+      end = parentBegin + endValue;
+    }
+    if (durValue !== null && (end === null || begin + durValue < end)) {
+      end = begin + durValue;
+    }
+    if (parentEnd !== null && end !== null) {
+      end = Math.min(end, parentEnd);
+    }
+
+    return { begin, end };
+  },
+
+  /**
+   * Convert a TTML time expression (clock or offset form) to seconds
+   * @param {string|null} expression - e.g. "00:01:02.500", "00:01:02:12", "10.5s", "9000000t"
+   * @param {Object} timing - Timing parameters from getTTMLTimingParams
+   * @returns {number|null} Time in seconds or null if absent/invalid
+   */
+  parseTTMLTime(expression, timing) {
+    if (!expression) return null;
+
+    const clock = expression.match(/^(\d+):(\d{2}):(\d{2})(?:(\.\d+)|:(\d+)(?:\.(\d+))?)?$/);
+    if (clock) {
+      let seconds = (+clock[1]) * 3600 + (+clock[2]) * 60 + (+clock[3]);
+      if (clock[4]) {
+        seconds += parseFloat(clock[4]);
+      } else if (clock[5]) {
+        const subFrames = clock[6] ? (+clock[6]) / timing.subFrameRate : 0;
+        seconds += ((+clock[5]) + subFrames) / timing.frameRate;
+      }
+      return seconds;
+    }
+
+    const offset = expression.match(/^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/);
+    if (offset) {
+      const value = parseFloat(offset[1]);
+      switch (offset[2]) {
+        case 'h': return value * 3600;
+        case 'm': return value * 60;
+        case 's': return value;
+        case 'ms': return value / 1000;
+        case 'f': return value / timing.frameRate;
+        case 't': return value / timing.tickRate;
+      }
+    }
+
+    Utils.log(`Unrecognised TTML time expression: ${expression}`, 'warn');
+    return null;
+  },
+
+  /**
+   * Flatten a TTML <p> element (nested spans, <br/>) to plain text
+   * @param {Element} element - TTML <p> element
+   * @returns {string} Cue text with line breaks
+   */
+  extractTTMLText(element) {
+    const collect = (node) => {
+      if (node.nodeType === 3) return node.nodeValue;
+      if (node.nodeType !== 1) return '';
+      if (node.localName === 'br') return '\n';
+      return Array.from(node.childNodes).map(collect).join('');
+    };
+
+    // Default xml:space handling collapses whitespace within each line
+    return collect(element)
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line !== '')
+      .join('\n');
+  },
+
+  /**
+   * Parse ASS/SSA content and extract subtitle data with style information
+   * @param {string} assText - Raw ASS/SSA content
+   * @returns {Array} Array of subtitle objects (with a `style` object)
+   */
+  parseASS(assText) {
+    try {
+      const lines = assText.replace(/^\uFEFF/, '').split(/\r?\n/);
+      const styles = {};
+      const subtitles = [];
+      let section = '';
+      let styleFormat = [];
+      let eventFormat = [];
+      let isLegacySSA = false;
+
+      for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith(';')) continue;
+
+        const sectionMatch = line.match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+          section = sectionMatch[1].toLowerCase();
+          if (section === 'v4 styles') isLegacySSA = true;
+          continue;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (section === 'v4+ styles' || section === 'v4 styles') {
+          if (key === 'format') {
+            styleFormat = value.split(',').map(field => field.trim().toLowerCase());
+          } else if (key === 'style') {
+            const fields = this.splitASSFields(value, styleFormat.length);
+            const style = this.parseASSStyle(styleFormat, fields, isLegacySSA);
+            styles[style.name] = style;
+          }
+        } else if (section === 'events') {
+          if (key === 'format') {
+            eventFormat = value.split(',').map(field => field.trim().toLowerCase());
+          } else if (key === 'dialogue') {
+            const fields = this.splitASSFields(value, eventFormat.length);
+            const subtitle = this.parseASSDialogue(eventFormat, fields, styles);
+
+            if (subtitle) {
+              subtitles.push(subtitle);
+            }
+          }
+        }
+      }
+
+      subtitles.sort((a, b) => a.startTime - b.startTime);
+
+      Utils.log(`Parsed ${subtitles.length} subtitles from ASS (${Object.keys(styles).length} styles)`);
+      return subtitles;
+    } catch (error) {
+      Utils.log(`Error parsing ASS: ${error.message}`, 'error');
+      return [];
+    }
+  },
+
+  /**
+   * Split an ASS field list; the last field (Text) may itself contain commas
+   * @param {string} value - Comma separated values
+   * @param {number} count - Number of fields declared by the Format line
+   * @returns {Array<string>} Field values
+   */
+  splitASSFields(value, count) {
+    const parts = value.split(',');
+    if (count <= 0 || parts.length <= count) return parts.map(part => part.trim());
+
+    const fields = parts.slice(0, count - 1).map(part => part.trim());
+    fields.push(parts.slice(count - 1).join(','));
+    return fields;
+  },
+
+  /**
+   * Build a style object from an ASS Style line
+   * @param {Array<string>} format - Lower-cased field names
+   * @param {Array<string>} fields - Field values
+   * @param {boolean} isLegacySSA - Whether the file uses SSA v4 alignment values
+   * @returns {Object} Style object
+   */
+  parseASSStyle(format, fields, isLegacySSA) {
+    const get = (name) => {
+      const index = format.indexOf(name);
+      return index === -1 ? undefined : fields[index];
+    };
+    const isOn = (value) => value !== undefined && value !== '' && parseInt(value, 10) !== 0;
+    const alignment = parseInt(get('alignment'), 10);
+
+    return {
+      name: get('name') || 'Default',
+      fontFamily: get('fontname') || null,
+      color: this.assColorToCSS(get('primarycolour') || get('primarycolor')),
+      bold: isOn(get('bold')),
+      italic: isOn(get('italic')),
+      underline: isOn(get('underline')),
+      alignment: isNaN(alignment) ? 2 : (isLegacySSA ? this.convertSSAAlignment(alignment) : alignment)
+    };
+  },
+
+  /**
+   * Build a subtitle object from an ASS Dialogue line
+   * @param {Array<string>} format - Lower-cased field names
+   * @param {Array<string>} fields - Field values
+   * @param {Object} styles - Styles keyed by name
+   * @returns {Object|null} Subtitle object or null if the line has no text
+   */
+  parseASSDialogue(format, fields, styles) {
+    const get = (name) => {
+      const index = format.indexOf(name);
+      return index === -1 ? '' : (fields[index] || '');
+    };
+
+    const start = get('start').trim();
+    const end = get('end').trim();
+    const styleName = get('style').trim().replace(/^\*/, '');
+    const baseStyle = styles[styleName] || styles.Default || { alignment: 2 };
+    const style = {
+      color: baseStyle.color || null,
+      fontFamily: baseStyle.fontFamily || null,
+      bold: !!baseStyle.bold,
+      italic: !!baseStyle.italic,
+      underline: !!baseStyle.underline,
+      alignment: baseStyle.alignment || 2
+    };
+
+    const rawText = get('text');
+
+    // Vector drawings ({\p1}) cannot be rendered as text
+    if (/\{[^}]*\\p[1-9]/.test(rawText)) return null;
+
+    this.applyASSOverrides(rawText, style);
+
+    const text = rawText
+      .replace(/\{[^}]*\}/g, '')
+      .replace(/\\N/g, '\n')
+      .replace(/\\n/g, '\n')
+      .replace(/\\h/g, ' ')
+      .split('\n')
+      .map(part => part.trim())
+      .join('\n')
+      .trim();
+
+    if (!text) return null;
+
+    return {
+      startTime: Utils.timeToSeconds(start),
+      endTime: Utils.timeToSeconds(end),
+      text,
+      originalStart: start,
+      originalEnd: end,
+      layer: parseInt(get('layer'), 10) || 0,
+      styleName,
+      style
+    };
+  },
+
+  /**
+   * Interpret override tags that apply to a whole line. Tags in the leading
+   * block(s) set cue-wide style; positioning tags apply wherever they appear.
+   * Mid-line style changes are stripped with the rest of the tags.
+   * @param {string} rawText - Dialogue text including {\...} blocks
+   * @param {Object} style - Style object to update in place
+   */
+  applyASSOverrides(rawText, style) {
+    const blockPattern = /\{([^}]*)\}/g;
+    let match;
+
+    while ((match = blockPattern.exec(rawText)) !== null) {
+      const isLeading = rawText.slice(0, match.index).replace(/\{[^}]*\}/g, '').trim() === '';
+      const tags = match[1].split('\\').slice(1);
+
+      tags.forEach(tag => {
+        let tagMatch;
+
+        if ((tagMatch = tag.match(/^an([1-9])/))) {
+          style.alignment = parseInt(tagMatch[1], 10);
+        } else if ((tagMatch = tag.match(/^a(\d+)/))) {
+          style.alignment = this.convertSSAAlignment(parseInt(tagMatch[1], 10));
+        } else if (!isLeading) {
+          return;
+        } else if ((tagMatch = tag.match(/^i([01])$/))) {
+          style.italic = tagMatch[1] === '1';
+        } else if ((tagMatch = tag.match(/^b(\d+)$/))) {
+          style.bold = tagMatch[1] !== '0';
+        } else if ((tagMatch = tag.match(/^u([01])$/))) {
+          style.underline = tagMatch[1] === '1';
+        } else if ((tagMatch = tag.match(/^1?c(&H[0-9a-f]+&?)/i))) {
+          style.color = this.assColorToCSS(tagMatch[1]);
+        } else if ((tagMatch = tag.match(/^fn(.+)$/))) {
+          style.fontFamily = tagMatch[1].trim();
+        }
+      });
+    }
+  },
+
+  /**
+   * Convert SSA v4 alignment (1-3 bottom, 5-7 top, 9-11 middle) to numpad layout
+   * @param {number} alignment - Legacy SSA alignment value
+   * @returns {number} Numpad alignment (1-9)
+   */
+  convertSSAAlignment(alignment) {
+    if (alignment >= 9) return alignment - 5;
+    if (alignment >= 5) return alignment + 2;
+    return alignment;
+  },
+
+  /**
+   * Convert an ASS colour (&HAABBGGRR, &HBBGGRR& or decimal) to CSS hex
+   * @param {string} value - ASS colour value
+   * @returns {string|null} CSS colour such as #RRGGBB, or null if invalid
+   */
+  assColorToCSS(value) {
+    if (!value) return null;
+
+    let number;
+    const hex = value.trim().match(/^&H([0-9a-f]+)&?$/i);
+    if (hex) {
+      number = parseInt(hex[1], 16);
+    } else if (/^-?\d+$/.test(value.trim())) {
+      number = parseInt(value, 10);
+    } else {
+      return null;
+    }
+
+    // Low three bytes are BBGGRR; the alpha byte is ignored
+    const red = number & 0xFF;
+    const green = (number >> 8) & 0xFF;
+    const blue = (number >> 16) & 0xFF;
+
+    return '#' + [red, green, blue].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase();
+  },
+
   /**
    * Check if a line contains timestamp information
    * @param {string} line - Line to check
    * @returns {boolean} True if line contains timestamp
    */
   isTimestampLine(line) {
-    return /^\d{2}:\d{2}:\d{2}\.\d{3} --> \d{2}:\d{2}:\d{2}\.\d{3}/.test(line);
+    return /^(?:\d{2,}:)?\d{2}:\d{2}\.\d{3}\s+-->\s+(?:\d{2,}:)?\d{2}:\d{2}\.\d{3}/.test(line);
+  },
+
+  /**
+   * Check if a line contains SRT timestamp information
+   * @param {string} line - Line to check
+   * @returns {boolean} True if line contains SRT timestamp
+   */
+  isSRTTimestampLine(line) {
+    return /^\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->\s*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}/.test(line);
+  },
+
+  /**
+   * Remove SRT <font> tags while keeping their text
+   * @param {string} text - Subtitle text
+   * @returns {string} Text without font tags
+   */
+  stripFontTags(text) {
+    return text.replace(/<\/?font\b[^>]*>/gi, '');
   },
 
   /**
@@ -77,6 +825,67 @@ const SubtitleParser = {
     ) || null;
   },
 
+  /**
+   * Build a lookup index for a track: cues sorted by start time plus the
+   * running maximum end time, so overlapping cues can be found by binary search
+   * @param {Array} subtitles - Array of subtitle objects
+   * @returns {Object} Index ({ cues, maxEnd })
+   */
+  buildCueIndex(subtitles) {
+    const cues = (subtitles || [])
+      .map((cue, order) => ({ cue, order }))
+      // Keep file order for cues that start together
+      .sort((a, b) => a.cue.startTime - b.cue.startTime || a.order - b.order)
+      .map(item => item.cue);
+    const maxEnd = new Array(cues.length);
+    let runningMax = -Infinity;
+
+    cues.forEach((cue, index) => {
+      runningMax = Math.max(runningMax, cue.endTime);
+      maxEnd[index] = runningMax;
+    });
+
+    return { cues, maxEnd };
+  },
+
+  /**
+   * Find every cue active at a time using a cue index
+   * @param {Object} index - Index from buildCueIndex
+   * @param {number} currentTime - Current time in seconds
+   * @param {number} tolerance - Time tolerance in seconds (default: 0)
+   * @returns {Array} Active cues in start order
+   */
+  findActiveCues(index, currentTime, tolerance = 0) {
+    if (!index || index.cues.length === 0) return [];
+
+    const { cues, maxEnd } = index;
+
+    // Last cue that has started by currentTime
+    let low = 0;
+    let high = cues.length - 1;
+    let last = -1;
+
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (cues[middle].startTime - tolerance <= currentTime) {
+        last = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    // Walk back only while some earlier cue can still be running
+    const active = [];
+    for (let i = last; i >= 0 && maxEnd[i] + tolerance >= currentTime; i--) {
+      if (currentTime < cues[i].endTime + tolerance) {
+        active.push(cues[i]);
+      }
+    }
+
+    return active.reverse();
+  },
+
   /**
    * Enhanced VTT content validation with detailed checks
    * @param {string} content - Content to validate
@@ -201,63 +1010,296 @@ const SubtitleParser = {
   },
 
   /**
-   * Enhanced VTT fetching with better progress tracking
-   * @param {string} baseUrl - Base URL for VTT files
+   * Fetch a single (non-segmented) subtitle file
+   * @param {string} url - Subtitle file URL
+   * @returns {Promise<string>} Subtitle file content
+   */
+  async fetchSubtitleFile(url) {
+    const response = await this.enhancedFetch(url);
+    const text = await response.text();
+
+    if (text.trim() === '') {
+      throw new Error('Subtitle file is empty');
+    }
+
+    Utils.log(`Fetched subtitle file (${text.length} chars): ${url}`);
+    return text;
+  },
+
+  /**
+   * Fetch every segment listed in an HLS subtitle media playlist
+   * @param {string} playlistUrl - URL of the .m3u8 media playlist
+   * @param {Object} options - Segment fetch options (see fetchSegments)
    * @returns {Promise<string>} Combined VTT content
    */
-  async fetchAllVTTs(baseUrl) {
+  async fetchPlaylistSegments(playlistUrl, options = {}) {
+    const startTime = performance.now();
+    const response = await this.enhancedFetch(playlistUrl);
+    const playlist = ManifestParser.parseMediaPlaylist(await response.text(), playlistUrl);
+
+    if (playlist.segments.length === 0) {
+      throw new Error('Playlist contains no segments');
+    }
+
+    const results = await this.fetchSegments(playlist.segments, options);
+    const fetched = results.filter(text => text !== null);
+
+    if (fetched.join('').trim() === '') {
+      throw new Error('No valid VTT content found');
+    }
+
+    const totalTime = performance.now() - startTime;
+    Utils.log(`Playlist fetch completed in ${totalTime.toFixed(2)}ms - ${fetched.length}/${playlist.segments.length} segments`);
+
+    return fetched.join('\n');
+  },
+
+  /**
+   * Fetch a known list of segments with bounded concurrency. The first
+   * segment is fetched on its own (its X-TIMESTAMP-MAP sets the time base);
+   * after that, segments closest to the priority time are fetched first.
+   * @param {Array} segments - Segments ({ uri, startTime?, duration? })
+   * @param {Object} options - Fetch options
+   * @param {number} options.concurrency - Maximum parallel requests (default 4)
+   * @param {Function} options.getPriorityTime - Returns the playback time to prioritise
+   * @param {Function} options.onSegment - Called with (index, text) as each segment arrives
+   * @param {Function} options.onProgress - Called with (completed, total)
+   * @returns {Promise<Array<string|null>>} Segment texts by index (null if failed)
+   */
+  async fetchSegments(segments, options = {}) {
+    const { concurrency = 4, getPriorityTime, onSegment, onProgress } = options;
+    const results = new Array(segments.length).fill(null);
+    const pending = segments.map((segment, index) => index);
+    let completed = 0;
+
+    const fetchOne = async (index) => {
+      try {
+        const text = await Utils.retryWithBackoff(
+          () => this.enhancedFetch(segments[index].uri).then(response => response.text()),
+          2
+        );
+
+        results[index] = text;
+        if (onSegment) onSegment(index, text);
+      } catch (error) {
+        // A missing segment only leaves a gap; keep the rest of the track
+        Utils.log(`Skipping segment ${index + 1}: ${error.message}`, 'warn');
+      }
+
+      completed++;
+      if (onProgress) onProgress(completed, segments.length);
+    };
+
+    const takeNext = () => {
+      const time = getPriorityTime ? getPriorityTime() : null;
+      let best = 0;
+
+      if (typeof time === 'number' && !isNaN(time)) {
+        let bestDistance = Infinity;
+
+        pending.forEach((index, position) => {
+          const segment = segments[index];
+          if (segment.startTime === undefined) return;
+
+          const end = segment.startTime + (segment.duration || 0);
+          // Segments already played are worth less than upcoming ones
+          const distance = time < segment.startTime
+            ? segment.startTime - time
+            : Math.max(0, time - end) * 2;
+
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            best = position;
+          }
+        });
+      }
+
+      return pending.splice(best, 1)[0];
+    };
+
+    if (pending.length > 0) {
+      await fetchOne(pending.shift());
+    }
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        await fetchOne(takeNext());
+      }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, pending.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+  },
+
+  /**
+   * Fetch a single numbered VTT segment, retrying transient errors
+   * @param {string} url - Segment URL
+   * @param {number} index - Segment number (for logging)
+   * @returns {Promise<string|null>} Segment text, or null when there are no more segments
+   */
+  async fetchVTTSegment(url, index) {
+    const maxRetries = 3;
+    let retryCount = 0;
+
+    while (true) {
+      try {
+        Utils.log(`Fetching VTT segment ${index}: ${url}`);
+        
+        const response = await this.enhancedFetch(url);
+        const text = await response.text();
+        
+        // Enhanced content validation
+        const validation = this.validateVTTContentDetailed(text);
+        
+        if (!validation.isValid) {
+          Utils.log(`Invalid VTT content in segment ${index}: ${validation.errors.join(', ')}`, 'warn');
+          return null;
+        }
+        
+        Utils.log(`Successfully fetched segment ${index} (${text.length} chars, ${validation.timestampCount} timestamps)`);
+        return text;
+        
+      } catch (error) {
+        if (error.message.includes('404') || error.message.includes('NoSuchKey')) {
+          Utils.log(`Segment ${index} not found - end of segments`);
+          return null;
+        }
+        
+        Utils.log(`Error fetching VTT ${index}: ${error.message}`, 'warn');
+        
+        retryCount++;
+        if (retryCount >= maxRetries) {
+          Utils.log(`Max retries reached for VTT ${index}, stopping`, 'warn');
+          return null;
+        }
+        
+        // Exponential backoff
+        const delay = 1000 * Math.pow(2, retryCount - 1);
+        Utils.log(`Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  },
+
+  /**
+   * Fill in defaults for a segment URL template and check it is usable
+   * @param {Object} template - { pattern, padding, start, step }
+   * @returns {Object|null} Normalized template, or null if the pattern has no {n}
+   */
+  normalizeSegmentTemplate(template) {
+    if (!template || typeof template.pattern !== 'string' || !template.pattern.includes('{n}')) {
+      return null;
+    }
+
+    const toInteger = (value, fallback, min) => {
+      const number = parseInt(value, 10);
+      return isNaN(number) || number < min ? fallback : number;
+    };
+
+    return {
+      pattern: template.pattern.trim(),
+      padding: toInteger(template.padding, 1, 1),
+      start: toInteger(template.start, 1, 0),
+      step: toInteger(template.step, 1, 1)
+    };
+  },
+
+  /**
+   * Build the URL of one segment from a template
+   * @param {Object} template - Normalized template ({ pattern, padding })
+   * @param {number} number - Segment number
+   * @returns {string} Segment URL
+   */
+  buildSegmentUrl(template, number) {
+    const value = String(number).padStart(template.padding, '0');
+    return template.pattern.replace(/\{n\}/g, value);
+  },
+
+  /**
+   * Derive a segment template from the URL of one numbered segment,
+   * keeping any query string and zero padding (seg_0001.vtt?token=...)
+   * @param {string} url - URL of a numbered .vtt segment
+   * @returns {Object|null} Template, or null if the URL is not numbered
+   */
+  deriveSegmentTemplate(url) {
+    const [, path, suffix] = url.match(/^([^?#]*)(.*)$/);
+    const match = path.match(/(\d+)(\.vtt)$/i);
+    if (!match) return null;
+
+    const digits = match[1];
+
+    return {
+      pattern: path.slice(0, match.index) + '{n}' + match[2] + suffix,
+      padding: digits.length > 1 && digits[0] === '0' ? digits.length : 1,
+      // Numbering starts at 1 unless the URL shows segment 0
+      start: parseInt(digits, 10) === 0 ? 0 : 1,
+      step: 1
+    };
+  },
+
+  /**
+   * Enhanced VTT fetching with better progress tracking. Segment numbers are
+   * guessed, so segments are probed in parallel batches until one is missing.
+   * When the media duration is known, the segment count is found first and
+   * segments nearest the playback position are fetched first instead.
+   * @param {string} baseUrl - URL of one numbered VTT segment
+   * @param {Object} options - Fetch options
+   * @param {Object} options.template - Segment URL template ({ pattern, padding, start, step });
+   *   derived from baseUrl when omitted
+   * @param {number} options.concurrency - Segments probed per batch (default 1)
+   * @param {Function} options.getPriorityTime - Returns the playback time to prioritise
+   * @param {Function} options.getMediaDuration - Returns the media duration in seconds
+   * @param {Function} options.onSegment - Called with (index, text) as each segment arrives
+   * @param {Function} options.onProgress - Called with (completed, total); total is null while unknown
+   * @returns {Promise<string>} Combined VTT content
+   */
+  async fetchAllVTTs(baseUrl, options = {}) {
     try {
-      let index = 1;
+      const { concurrency = 1, onSegment, onProgress } = options;
+      const template = this.normalizeSegmentTemplate(options.template || this.deriveSegmentTemplate(baseUrl));
+      let index = 0;
       let allContent = '';
-      let retryCount = 0;
-      const maxRetries = 3;
+      let reachedEnd = false;
       const startTime = performance.now();
       
-      Utils.log(`Starting enhanced VTT fetch from: ${baseUrl}`);
+      if (!template) {
+        // Not a numbered segment: treat it as a single file
+        Utils.log(`No segment number in ${baseUrl}, fetching it as a single file`);
+        const text = await this.fetchSubtitleFile(baseUrl);
+        if (onSegment) onSegment(0, text);
+        if (onProgress) onProgress(1, 1);
+        return text;
+      }
+      
+      Utils.log(`Starting enhanced VTT fetch from: ${template.pattern}`);
       
-      while (true) {
-        const url = baseUrl.replace(/(\d+)\.vtt$/, `${index}.vtt`);
+      const duration = options.getMediaDuration ? options.getMediaDuration() : null;
+      if (options.getPriorityTime && Number.isFinite(duration) && duration > 0) {
+        return await this.fetchGuessedSegments(template, duration, options);
+      }
+      
+      while (!reachedEnd) {
+        const batch = Array.from({ length: Math.max(1, concurrency) }, (_, offset) => index + offset);
+        const texts = await Promise.all(batch.map(segmentIndex => {
+          const number = template.start + segmentIndex * template.step;
+          return this.fetchVTTSegment(this.buildSegmentUrl(template, number), number);
+        }));
         
-        try {
-          Utils.log(`Fetching VTT segment ${index}: ${url}`);
-          
-          const response = await this.enhancedFetch(url);
-          const text = await response.text();
-          
-          // Enhanced content validation
-          const validation = this.validateVTTContentDetailed(text);
-          
-          if (!validation.isValid) {
-            Utils.log(`Invalid VTT content in segment ${index}: ${validation.errors.join(', ')}`, 'warn');
+        // Keep segments in order up to the first missing one
+        for (const text of texts) {
+          if (text === null) {
+            reachedEnd = true;
             break;
           }
           
           allContent += text + '\n';
-          Utils.log(`Successfully fetched segment ${index} (${text.length} chars, ${validation.timestampCount} timestamps)`);
-          
+          if (onSegment) onSegment(index, text);
           index++;
-          retryCount = 0; // Reset retry count on success
-          
-        } catch (error) {
-          if (error.message.includes('404') || error.message.includes('NoSuchKey')) {
-            Utils.log(`Segment ${index} not found - end of segments`);
-            break;
-          }
-          
-          Utils.log(`Error fetching VTT ${index}: ${error.message}`, 'warn');
-          
-          retryCount++;
-          if (retryCount >= maxRetries) {
-            Utils.log(`Max retries reached for VTT ${index}, stopping`, 'warn');
-            break;
-          }
-          
-          // Exponential backoff
-          const delay = 1000 * Math.pow(2, retryCount - 1);
-          Utils.log(`Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
         }
+        
+        if (onProgress) onProgress(index, null);
       }
       
       if (allContent.trim() === '') {
@@ -265,7 +1307,7 @@ const SubtitleParser = {
       }
       
       const totalTime = performance.now() - startTime;
-      Utils.log(`Enhanced VTT fetch completed in ${totalTime.toFixed(2)}ms - ${index - 1} segments, ${allContent.length} total chars`);
+      Utils.log(`Enhanced VTT fetch completed in ${totalTime.toFixed(2)}ms - ${index} segments, ${allContent.length} total chars`);
       
       return allContent;
       
@@ -275,6 +1317,92 @@ const SubtitleParser = {
     }
   },
 
+  /**
+   * Fetch guessed numbered segments nearest the playback position first.
+   * The segment count is found by probing (doubling, then bisecting), and
+   * segments are assumed to split the media duration evenly.
+   * @param {Object} template - Normalized segment URL template
+   * @param {number} mediaDuration - Media duration in seconds
+   * @param {Object} options - Fetch options (see fetchAllVTTs)
+   * @returns {Promise<string>} Combined VTT content
+   */
+  async fetchGuessedSegments(template, mediaDuration, options) {
+    const { onSegment, onProgress } = options;
+    const startTime = performance.now();
+    const probed = new Map();
+
+    const probe = async (index) => {
+      if (!probed.has(index)) {
+        const number = template.start + index * template.step;
+        const text = await this.fetchVTTSegment(this.buildSegmentUrl(template, number), number);
+        probed.set(index, text);
+      }
+      return probed.get(index);
+    };
+
+    // The first segment sets the time base, so it is delivered before any other
+    const first = await probe(0);
+    if (first === null) {
+      throw new Error('No valid VTT content found');
+    }
+    if (onSegment) onSegment(0, first);
+
+    let low = 0;
+    let high = 1;
+    while (high < this.MAX_GUESSED_SEGMENTS && await probe(high) !== null) {
+      low = high;
+      high *= 2;
+    }
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (await probe(middle) !== null) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const count = low + 1;
+    const segmentDuration = mediaDuration / count;
+    const results = new Array(count).fill(null);
+
+    probed.forEach((text, index) => {
+      if (index >= count || text === null) return;
+      results[index] = text;
+      if (index > 0 && onSegment) onSegment(index, text);
+    });
+
+    const remaining = results.map((text, index) => index).filter(index => results[index] === null);
+    const segments = remaining.map(index => ({
+      uri: this.buildSegmentUrl(template, template.start + index * template.step),
+      startTime: index * segmentDuration,
+      duration: segmentDuration
+    }));
+    const done = count - remaining.length;
+
+    Utils.log(`Found ${count} guessed segments (~${segmentDuration.toFixed(1)}s each)`);
+    if (onProgress) onProgress(done, count);
+
+    if (segments.length > 0) {
+      await this.fetchSegments(segments, {
+        ...options,
+        onSegment: (position, text) => {
+          results[remaining[position]] = text;
+          if (onSegment) onSegment(remaining[position], text);
+        },
+        onProgress: (completed) => {
+          if (onProgress) onProgress(done + completed, count);
+        }
+      });
+    }
+
+    const allContent = results.filter(text => text !== null).join('\n');
+    const totalTime = performance.now() - startTime;
+    Utils.log(`Enhanced VTT fetch completed in ${totalTime.toFixed(2)}ms - ${count} segments, ${allContent.length} total chars`);
+
+    return allContent;
+  },
+
   /**
    * Validate subtitle data
    * @param {Array} subtitles - Array of subtitle objects
@@ -323,6 +1451,54 @@ const SubtitleParser = {
       .trim();
   },
 
+  /**
+   * Collapse duplicate cues repeated where stitched segments meet. Only cues
+   * from different segments (tagged with `segment` while loading) are merged,
+   * and only when text, cue settings and style all match and they overlap or
+   * touch, so repeated lines and signs drawn as several events are kept.
+   * @param {Array} subtitles - Array of subtitle objects
+   * @param {number} maxGap - Largest gap (seconds) between cues still treated as touching
+   * @returns {Object} { subtitles, collapsed } - normalized cues and number merged away
+   */
+  normalizeCues(subtitles, maxGap = 0.05) {
+    const sorted = [...subtitles].sort((a, b) => a.startTime - b.startTime || a.endTime - b.endTime);
+    const lastByKey = new Map();
+    const normalized = [];
+    let collapsed = 0;
+
+    for (const subtitle of sorted) {
+      if (subtitle.segment === undefined) {
+        normalized.push({ ...subtitle });
+        continue;
+      }
+
+      const key = JSON.stringify([
+        subtitle.text.replace(/\s+/g, ' ').trim(),
+        subtitle.settings || null,
+        subtitle.style || null
+      ]);
+      const previous = lastByKey.get(key);
+
+      if (previous && !previous.segments.has(subtitle.segment) &&
+          subtitle.startTime <= previous.cue.endTime + maxGap) {
+        previous.cue.endTime = Math.max(previous.cue.endTime, subtitle.endTime);
+        previous.segments.add(subtitle.segment);
+        collapsed++;
+        continue;
+      }
+
+      const copy = { ...subtitle };
+      normalized.push(copy);
+      lastByKey.set(key, { cue: copy, segments: new Set([subtitle.segment]) });
+    }
+
+    if (collapsed > 0) {
+      Utils.log(`Collapsed ${collapsed} duplicate cues`);
+    }
+
+    return { subtitles: normalized, collapsed };
+  },
+
   /**
    * Merge multiple subtitle arrays
    * @param {...Array} subtitleArrays - Arrays of subtitles to merge
@@ -333,6 +1509,49 @@ const SubtitleParser = {
     
     // Sort by start time
     return allSubtitles.sort((a, b) => a.startTime - b.startTime);
+  },
+
+  /**
+   * Group overlapping cues of two tracks into bilingual pairs that share one
+   * timeline, so a line and its translation appear and disappear together
+   * @param {Array} subtitle1 - Subtitle 1 cues
+   * @param {Array} subtitle2 - Subtitle 2 cues
+   * @param {Object} options - Pairing options
+   * @param {Object} options.offsets - Delay per track ({ subtitle1, subtitle2 }) added to cue times
+   * @param {number} options.minOverlap - Seconds a cue must overlap a pair to join it
+   * @param {number} options.maxDuration - Longest a pair may grow, in seconds
+   * @returns {Array} Pairs ({ startTime, endTime, subtitle1, subtitle2 }) in start order,
+   *   each holding the original cues of both tracks
+   */
+  pairCues(subtitle1, subtitle2, { offsets = {}, minOverlap = 0.2, maxDuration = 15 } = {}) {
+    const tag = (cues, track) => (cues || []).map(cue => ({
+      track,
+      cue,
+      startTime: cue.startTime + (offsets[track] || 0),
+      endTime: cue.endTime + (offsets[track] || 0)
+    }));
+
+    const pairs = [];
+    let pair = null;
+
+    this.mergeSubtitles(tag(subtitle1, 'subtitle1'), tag(subtitle2, 'subtitle2')).forEach(entry => {
+      // Very short cues only need to overlap for half their length
+      const overlap = Math.min(pair ? pair.endTime : 0, entry.endTime) - entry.startTime;
+      const required = Math.min(minOverlap, (entry.endTime - entry.startTime) / 2);
+      const joins = pair &&
+        overlap >= required &&
+        Math.max(pair.endTime, entry.endTime) - pair.startTime <= maxDuration;
+
+      if (!joins) {
+        pair = { startTime: entry.startTime, endTime: entry.endTime, subtitle1: [], subtitle2: [] };
+        pairs.push(pair);
+      }
+
+      pair[entry.track].push(entry.cue);
+      pair.endTime = Math.max(pair.endTime, entry.endTime);
+    });
+
+    return pairs;
   }
 };
 
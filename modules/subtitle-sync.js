@@ -0,0 +1,298 @@
+/**
+ * Subtitle Sync Module
+ * Finds the linear time transform (time * scale + offset) that lines one
+ * subtitle track up with another, e.g. a translation from a release with a
+ * different frame rate or intro length
+ */
+
+const SubtitleSync = {
+  // Configuration constants
+  CONFIG: {
+    // Speed ratios between common release frame rates, tried in this order
+    SCALE_CANDIDATES: [
+      1,
+      25 / 23.976, 23.976 / 25, // PAL speed-up
+      25 / 24, 24 / 25,
+      24 / 23.976, 23.976 / 24 // NTSC 1000/1001 (also 30 vs 29.97)
+    ],
+    MAX_OFFSET: 600, // seconds
+    BIN_SIZE: 0.1, // seconds per offset histogram bin
+    MATCH_TOLERANCE: 0.5, // seconds between cue starts that count as a match
+    REFINE_ITERATIONS: 3,
+    MIN_CUES: 10
+  },
+
+  /**
+   * Find the transform that maps target cue times onto reference cue times
+   * @param {Array} reference - Cues with the correct timing
+   * @param {Array} target - Cues to be aligned
+   * @returns {Object|null} { scale, offset, matched, total, confidence, error } or
+   *   null if either track has too few cues
+   */
+  findTransform(reference, target) {
+    const referenceStarts = this.getStartTimes(reference);
+    const targetStarts = this.getStartTimes(target);
+
+    if (referenceStarts.length < this.CONFIG.MIN_CUES || targetStarts.length < this.CONFIG.MIN_CUES) {
+      return null;
+    }
+
+    let best = null;
+
+    this.CONFIG.SCALE_CANDIDATES.forEach(scale => {
+      const offset = this.findOffset(referenceStarts, targetStarts, scale);
+      const fit = this.refineTransform(referenceStarts, targetStarts, { scale, offset });
+
+      if (!best || fit.matched > best.matched || (fit.matched === best.matched && fit.error < best.error)) {
+        best = fit;
+      }
+    });
+
+    // Translations split and merge lines, so compare against the shorter track
+    const total = Math.min(referenceStarts.length, targetStarts.length);
+
+    // In dense dialogue many cues land near some reference cue by chance;
+    // confidence only counts matches above that level
+    const span = referenceStarts[referenceStarts.length - 1] - referenceStarts[0];
+    const chance = Math.min(1, (referenceStarts.length / Math.max(span, 1)) * 2 * this.CONFIG.MATCH_TOLERANCE);
+    const expected = total * chance;
+    const confidence = expected < total ? (best.matched - expected) / (total - expected) : 0;
+
+    return {
+      ...best,
+      total,
+      confidence: Math.max(0, Math.min(1, confidence))
+    };
+  },
+
+  /**
+   * Get the sorted start times of a cue list
+   * @param {Array} cues - Cues
+   * @returns {Array<number>} Start times
+   */
+  getStartTimes(cues) {
+    return cues
+      .map(cue => cue.startTime)
+      .filter(time => typeof time === 'number' && !isNaN(time))
+      .sort((a, b) => a - b);
+  },
+
+  /**
+   * Find the most common offset between reference and scaled target start times
+   * @param {Array<number>} referenceStarts - Sorted reference start times
+   * @param {Array<number>} targetStarts - Sorted target start times
+   * @param {number} scale - Scale applied to target times
+   * @returns {number} Offset in seconds
+   */
+  findOffset(referenceStarts, targetStarts, scale) {
+    const { MAX_OFFSET, BIN_SIZE } = this.CONFIG;
+    const histogram = new Map();
+
+    targetStarts.forEach(start => {
+      const scaled = start * scale;
+      let i = this.findNearestIndex(referenceStarts, scaled - MAX_OFFSET);
+
+      for (; i < referenceStarts.length && referenceStarts[i] <= scaled + MAX_OFFSET; i++) {
+        const bin = Math.round((referenceStarts[i] - scaled) / BIN_SIZE);
+        histogram.set(bin, (histogram.get(bin) || 0) + 1);
+      }
+    });
+
+    // Count neighbouring bins too so an offset between two bins isn't split
+    let bestBin = 0;
+    let bestCount = -1;
+
+    histogram.forEach((count, bin) => {
+      const total = count + (histogram.get(bin - 1) || 0) + (histogram.get(bin + 1) || 0);
+      if (total > bestCount) {
+        bestBin = bin;
+        bestCount = total;
+      }
+    });
+
+    return bestBin * BIN_SIZE;
+  },
+
+  /**
+   * Pair cues under a transform and fit scale and offset to the pairs by least squares
+   * @param {Array<number>} referenceStarts - Sorted reference start times
+   * @param {Array<number>} targetStarts - Sorted target start times
+   * @param {Object} transform - Starting transform ({ scale, offset })
+   * @returns {Object} { scale, offset, matched, error }
+   */
+  refineTransform(referenceStarts, targetStarts, transform) {
+    let current = { ...transform };
+    let pairs = this.matchStarts(referenceStarts, targetStarts, current);
+
+    for (let i = 0; i < this.CONFIG.REFINE_ITERATIONS && pairs.length >= 2; i++) {
+      const fitted = this.fitLine(pairs) || current;
+      const fittedPairs = this.matchStarts(referenceStarts, targetStarts, fitted);
+
+      if (fittedPairs.length < pairs.length) break;
+
+      current = fitted;
+      pairs = fittedPairs;
+    }
+
+    const error = pairs.length > 0
+      ? pairs.reduce((sum, [target, reference]) =>
+        sum + Math.abs(reference - this.applyToTime(target, current)), 0) / pairs.length
+      : Infinity;
+
+    return { scale: current.scale, offset: current.offset, matched: pairs.length, error };
+  },
+
+  /**
+   * Pair each target start with the nearest reference start after the transform
+   * @param {Array<number>} referenceStarts - Sorted reference start times
+   * @param {Array<number>} targetStarts - Target start times
+   * @param {Object} transform - Transform ({ scale, offset })
+   * @returns {Array<Array<number>>} [targetStart, referenceStart] pairs within tolerance
+   */
+  matchStarts(referenceStarts, targetStarts, transform) {
+    const pairs = [];
+
+    targetStarts.forEach(start => {
+      const mapped = this.applyToTime(start, transform);
+      const index = this.findNearestIndex(referenceStarts, mapped);
+      const candidates = [referenceStarts[index - 1], referenceStarts[index]].filter(time => time !== undefined);
+      const nearest = candidates.reduce((a, b) => Math.abs(a - mapped) <= Math.abs(b - mapped) ? a : b, Infinity);
+
+      if (Math.abs(nearest - mapped) <= this.CONFIG.MATCH_TOLERANCE) {
+        pairs.push([start, nearest]);
+      }
+    });
+
+    return pairs;
+  },
+
+  /**
+   * Least-squares line through [x, y] pairs
+   * @param {Array<Array<number>>} pairs - Points
+   * @returns {Object|null} { scale, offset } or null if the points are degenerate
+   */
+  fitLine(pairs) {
+    const n = pairs.length;
+    let sumX = 0, sumY = 0, sumXX = 0, sumXY = 0;
+
+    pairs.forEach(([x, y]) => {
+      sumX += x;
+      sumY += y;
+      sumXX += x * x;
+      sumXY += x * y;
+    });
+
+    const denominator = n * sumXX - sumX * sumX;
+    if (Math.abs(denominator) < 1e-9) return null;
+
+    const scale = (n * sumXY - sumX * sumY) / denominator;
+    if (!(scale > 0)) return null;
+
+    return { scale, offset: (sumY - scale * sumX) / n };
+  },
+
+  /**
+   * Binary search for the first index whose value is >= time
+   * @param {Array<number>} times - Sorted times
+   * @param {number} time - Time to look up
+   * @returns {number} Insertion index
+   */
+  findNearestIndex(times, time) {
+    let low = 0;
+    let high = times.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (times[mid] < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  },
+
+  /**
+   * Map one time through a transform
+   * @param {number} time - Time in seconds
+   * @param {Object} transform - Transform ({ scale, offset })
+   * @returns {number} Transformed time
+   */
+  applyToTime(time, transform) {
+    return time * transform.scale + transform.offset;
+  },
+
+  /**
+   * Retime cues with a transform, leaving the originals untouched
+   * @param {Array} cues - Cues
+   * @param {Object} transform - Transform ({ scale, offset })
+   * @returns {Array} Retimed copies of the cues
+   */
+  applyTransform(cues, transform) {
+    if (this.isIdentity(transform)) return cues;
+
+    return cues.map(cue => ({
+      ...cue,
+      startTime: this.applyToTime(cue.startTime, transform),
+      endTime: this.applyToTime(cue.endTime, transform)
+    }));
+  },
+
+  /**
+   * Combine two transforms into one that applies `inner` first, then `outer`
+   * @param {Object} outer - Transform applied second
+   * @param {Object} inner - Transform applied first
+   * @returns {Object} Combined transform
+   */
+  composeTransforms(outer, inner) {
+    const a = outer || this.getIdentity();
+    const b = inner || this.getIdentity();
+    return { scale: a.scale * b.scale, offset: a.scale * b.offset + a.offset };
+  },
+
+  /**
+   * Get the transform that undoes another
+   * @param {Object} transform - Transform
+   * @returns {Object} Inverse transform
+   */
+  invertTransform(transform) {
+    const { scale, offset } = transform || this.getIdentity();
+    return { scale: 1 / scale, offset: -offset / scale };
+  },
+
+  /**
+   * Get the transform that changes nothing
+   * @returns {Object} Identity transform
+   */
+  getIdentity() {
+    return { scale: 1, offset: 0 };
+  },
+
+  /**
+   * Check whether a transform leaves times unchanged
+   * @param {Object} transform - Transform, or null
+   * @returns {boolean} True for null or the identity
+   */
+  isIdentity(transform) {
+    return !transform || (Math.abs(transform.scale - 1) < 1e-9 && Math.abs(transform.offset) < 1e-6);
+  },
+
+  /**
+   * Describe a transform, e.g. "+2.35s, ×1.0427 speed"
+   * @param {Object} transform - Transform
+   * @returns {string} Description
+   */
+  describeTransform(transform) {
+    const { scale, offset } = transform || this.getIdentity();
+    const shift = Utils.formatOffset(Math.round(offset * 100) / 100);
+    return Math.abs(scale - 1) < 1e-4 ? shift : `${shift}, ×${scale.toFixed(4)} speed`;
+  }
+};
+
+
+
+// Make SubtitleSync globally available for Chrome Extension
+if (typeof window !== 'undefined') {
+  window.SubtitleSync = SubtitleSync;
+}
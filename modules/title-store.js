@@ -0,0 +1,229 @@
+/**
+ * Title Store Module
+ * Remembers subtitle selections and styles per title/episode, keyed by the
+ * content ID in the player page URL
+ */
+
+const TitleStore = {
+  // Configuration constants
+  CONFIG: {
+    STORAGE_KEY: 'savedTitles',
+    MAX_TITLES: 100,
+    // play.max.com/video/watch/<edit id>/<content id>
+    WATCH_PATH_PATTERN: /\/video\/watch\/([^/?#]+)(?:\/([^/?#]+))?/,
+    // Storage keys saved for each title (local files are too large to keep per title)
+    SAVED_KEYS: [
+      'subtitleSub1URL',
+      'subtitleSub2URL',
+      'subtitleSub1Template',
+      'subtitleSub2Template',
+      'subtitleSub1Rendition',
+      'subtitleSub2Rendition',
+      'sizeSub1',
+      'sizeSub2',
+      'posSub1',
+      'posSub2',
+      'offsetSub1',
+      'offsetSub2',
+      'correctionSub1',
+      'correctionSub2'
+    ],
+    // Local files remember the title they were picked for ({ titleId }) and
+    // are cleared when a different title is restored, so they never play on another
+    FILE_KEYS: ['subtitleSub1File', 'subtitleSub2File'],
+    RENDITION_KEYS: ['subtitleSub1Rendition', 'subtitleSub2Rendition']
+  },
+
+  /**
+   * Get the content ID of a player page
+   * @param {string} url - Page URL (defaults to the current page)
+   * @returns {string|null} Content ID, or null if the page is not a player page
+   */
+  getContentId(url = location.href) {
+    try {
+      const { pathname } = new URL(url);
+      const match = pathname.match(this.CONFIG.WATCH_PATH_PATTERN);
+      return match ? (match[2] || match[1]) : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Get a readable name for the current title from the page title
+   * @returns {string} Title name
+   */
+  getPageTitleName() {
+    const name = document.title.replace(/\s*[|•-]\s*(HBO\s*)?Max\s*$/i, '').trim();
+    return name || 'Untitled';
+  },
+
+  /**
+   * Load all saved titles
+   * @returns {Promise<Object>} Saved titles by content ID
+   */
+  async getAll() {
+    const result = await chrome.storage.local.get([this.CONFIG.STORAGE_KEY]);
+    return result[this.CONFIG.STORAGE_KEY] || {};
+  },
+
+  /**
+   * Load the saved entry of one title
+   * @param {string} id - Content ID
+   * @returns {Promise<Object|null>} Entry ({ id, name, url, settings, autoStart, updatedAt }) or null
+   */
+  async get(id) {
+    if (!id) return null;
+    const titles = await this.getAll();
+    return titles[id] || null;
+  },
+
+  /**
+   * Save the current subtitle settings for the title playing on this page
+   * @param {Object} overrides - Settings this page holds itself, used instead of
+   *   the stored ones (null or undefined values are left out)
+   * @returns {Promise<Object|null>} Saved entry, or null when not on a player page
+   */
+  async saveCurrent(overrides = {}) {
+    try {
+      const id = this.getContentId();
+      if (!id) return null;
+
+      const [titles, settings] = await Promise.all([
+        this.getAll(),
+        chrome.storage.local.get(this.CONFIG.SAVED_KEYS)
+      ]);
+      const existing = titles[id];
+
+      Object.entries(overrides).forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+          delete settings[key];
+        } else {
+          settings[key] = value;
+        }
+      });
+
+      // Segment lists are resolved again from the manifest on start
+      this.CONFIG.RENDITION_KEYS.forEach(key => {
+        if (settings[key]) settings[key] = this.getRenditionRef(settings[key]);
+      });
+
+      titles[id] = {
+        id,
+        // Keep a name the user has edited
+        name: existing && existing.renamed ? existing.name : this.getPageTitleName(),
+        renamed: existing ? !!existing.renamed : false,
+        url: location.href,
+        settings,
+        autoStart: existing ? !!existing.autoStart : false,
+        updatedAt: Date.now()
+      };
+
+      await chrome.storage.local.set({ [this.CONFIG.STORAGE_KEY]: this.prune(titles) });
+      Utils.log(`Saved subtitle settings for "${titles[id].name}"`);
+      return titles[id];
+    } catch (error) {
+      Utils.log(`Error saving title settings: ${error.message}`, 'error');
+      return null;
+    }
+  },
+
+  /**
+   * Reduce a manifest rendition to what is needed to find it again
+   * @param {Object} rendition - Rendition ({ manifestUrl, id, label, url?, segments? })
+   * @returns {Object|null} Reference ({ manifestUrl, id, label }), or null without a manifest URL
+   */
+  getRenditionRef(rendition) {
+    if (!rendition || !rendition.manifestUrl) return null;
+    return { manifestUrl: rendition.manifestUrl, id: rendition.id, label: rendition.label || '' };
+  },
+
+  /**
+   * Make a saved title's settings the current ones. Keys the entry lacks
+   * (never set, or added after it was saved) fall back to their defaults
+   * instead of keeping the previous title's values. Local files stay when
+   * they were picked for this title, e.g. when its page is reloaded.
+   * @param {Object} entry - Saved title
+   */
+  async restore(entry) {
+    const settings = entry.settings || {};
+    const missing = this.CONFIG.SAVED_KEYS.filter(key => settings[key] === undefined);
+    const files = await chrome.storage.local.get(this.CONFIG.FILE_KEYS);
+    const otherFiles = this.CONFIG.FILE_KEYS.filter(key =>
+      files[key] && files[key].titleId && files[key].titleId !== entry.id
+    );
+
+    await chrome.storage.local.remove([...missing, ...otherFiles]);
+    await chrome.storage.local.set(settings);
+  },
+
+  /**
+   * Update fields of a saved title (name, autoStart)
+   * @param {string} id - Content ID
+   * @param {Object} changes - Fields to change
+   */
+  async update(id, changes) {
+    const titles = await this.getAll();
+    if (!titles[id]) return;
+
+    titles[id] = { ...titles[id], ...changes };
+    if (changes.name !== undefined) titles[id].renamed = true;
+
+    await chrome.storage.local.set({ [this.CONFIG.STORAGE_KEY]: titles });
+  },
+
+  /**
+   * Change saved settings of a title; a null or undefined value removes the key
+   * @param {string} id - Content ID
+   * @param {Object} changes - Settings by storage key (one of SAVED_KEYS)
+   */
+  async updateSettings(id, changes) {
+    const titles = await this.getAll();
+    if (!titles[id]) return;
+
+    const settings = { ...titles[id].settings };
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!this.CONFIG.SAVED_KEYS.includes(key)) return;
+      if (value === null || value === undefined) {
+        delete settings[key];
+      } else {
+        settings[key] = value;
+      }
+    });
+
+    titles[id] = { ...titles[id], settings };
+    await chrome.storage.local.set({ [this.CONFIG.STORAGE_KEY]: titles });
+  },
+
+  /**
+   * Delete a saved title
+   * @param {string} id - Content ID
+   */
+  async remove(id) {
+    const titles = await this.getAll();
+    delete titles[id];
+    await chrome.storage.local.set({ [this.CONFIG.STORAGE_KEY]: titles });
+  },
+
+  /**
+   * Drop the least recently used titles beyond MAX_TITLES
+   * @param {Object} titles - Saved titles by content ID
+   * @returns {Object} Pruned titles
+   */
+  prune(titles) {
+    const entries = Object.values(titles).sort((a, b) => b.updatedAt - a.updatedAt);
+    if (entries.length <= this.CONFIG.MAX_TITLES) return titles;
+
+    return entries.slice(0, this.CONFIG.MAX_TITLES).reduce((kept, entry) => {
+      kept[entry.id] = entry;
+      return kept;
+    }, {});
+  }
+};
+
+
+
+// Make TitleStore globally available for Chrome Extension
+if (typeof window !== 'undefined') {
+  window.TitleStore = TitleStore;
+}
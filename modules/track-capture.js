@@ -0,0 +1,274 @@
+/**
+ * Track Capture Module
+ * Watches the page's network requests for subtitle files and player manifests
+ * and collects the available tracks (language and type) so the popup can
+ * offer them as a list. The list is kept per tab by the background worker.
+ */
+
+const TrackCapture = {
+  // Configuration constants
+  CONFIG: {
+    SUBTITLE_URL_PATTERN: /\.(vtt|webvtt|srt|ttml|ttml2|dfxp|imsc)(?:[?#]|$)/i,
+    MANIFEST_URL_PATTERN: /\.(mpd|m3u8)(?:[?#]|$)/i,
+    MAX_TRACKS: 50,
+    MAX_MANIFESTS: 10,
+    SAVE_DELAY: 500, // milliseconds
+    // ISO 639-1/639-2 codes recognised in track URLs
+    LANGUAGES: [
+      'ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fil', 'fr', 'he', 'hi', 'hr',
+      'hu', 'id', 'is', 'it', 'ja', 'ko', 'lt', 'lv', 'ms', 'nb', 'nl', 'no', 'pl', 'pt', 'ro',
+      'ru', 'sk', 'sl', 'sr', 'sv', 'th', 'tr', 'uk', 'vi', 'zh',
+      'ara', 'bul', 'ces', 'cze', 'chi', 'dan', 'deu', 'dut', 'ell', 'eng', 'est', 'fin', 'fra',
+      'fre', 'ger', 'gre', 'heb', 'hin', 'hrv', 'hun', 'ind', 'ita', 'jpn', 'kor', 'lav', 'lit',
+      'may', 'msa', 'nld', 'nor', 'pol', 'por', 'ron', 'rum', 'rus', 'slk', 'slv', 'spa', 'srp',
+      'swe', 'tha', 'tur', 'ukr', 'vie', 'zho'
+    ],
+    SDH_TOKENS: ['sdh', 'cc', 'hoh', 'hearing'],
+    FORCED_TOKENS: ['forced', 'fn', 'narrative']
+  },
+
+  // State variables
+  state: {
+    tracks: new Map(),
+    manifests: new Map(),
+    observer: null,
+    pagePath: null,
+    saveHandler: null
+  },
+
+  /**
+   * Initialize request capture
+   */
+  init() {
+    Utils.log('Initializing track capture');
+    if (this.state.observer) return;
+
+    this.state.pagePath = location.pathname;
+    this.state.saveHandler = Utils.debounce(() => this.saveTracks(), this.CONFIG.SAVE_DELAY);
+
+    try {
+      // buffered: true also reports requests made before the content script ran
+      this.state.observer = new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => this.handleUrl(entry.name));
+      });
+      this.state.observer.observe({ type: 'resource', buffered: true });
+      // Replace whatever an earlier page in this tab left behind
+      this.state.saveHandler();
+    } catch (error) {
+      Utils.log(`Track capture unavailable: ${error.message}`, 'warn');
+    }
+  },
+
+  /**
+   * Record a requested URL if it looks like a subtitle file or manifest
+   * @param {string} url - Requested URL
+   */
+  handleUrl(url) {
+    try {
+      // A new title in the single-page player starts a fresh track list
+      if (location.pathname !== this.state.pagePath) {
+        this.state.pagePath = location.pathname;
+        this.state.tracks.clear();
+        this.state.manifests.clear();
+        this.state.saveHandler();
+      }
+
+      if (this.CONFIG.MANIFEST_URL_PATTERN.test(url)) {
+        this.handleManifestUrl(url);
+        return;
+      }
+
+      if (!this.CONFIG.SUBTITLE_URL_PATTERN.test(url)) return;
+
+      const track = this.describeTrack(url);
+      const existing = this.state.tracks.get(track.id);
+
+      if (existing) {
+        // Remember the lowest segment number seen so loading starts from the top
+        if (track.segmented && track.segmentNumber < existing.segmentNumber) {
+          existing.url = track.url;
+          existing.segmentNumber = track.segmentNumber;
+          this.state.saveHandler();
+        }
+        return;
+      }
+
+      if (this.state.tracks.size >= this.CONFIG.MAX_TRACKS) return;
+
+      this.state.tracks.set(track.id, track);
+      Utils.log(`Captured ${track.label} subtitle track: ${url}`);
+      this.state.saveHandler();
+    } catch (error) {
+      Utils.log(`Error capturing subtitle URL: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Record a DASH MPD or HLS playlist so the popup can list its subtitle renditions
+   * @param {string} url - Manifest URL
+   */
+  handleManifestUrl(url) {
+    // Refreshed tokens in the query don't make a new manifest
+    const id = url.split(/[?#]/)[0];
+    if (this.state.manifests.has(id) || this.state.manifests.size >= this.CONFIG.MAX_MANIFESTS) return;
+
+    this.state.manifests.set(id, url);
+    Utils.log(`Captured player manifest: ${url}`);
+    this.state.saveHandler();
+  },
+
+  /**
+   * Describe a subtitle URL: grouping key, language and type
+   * @param {string} url - Subtitle URL
+   * @returns {Object} Track ({ id, url, language, kind, label, segmented, segmentNumber })
+   */
+  describeTrack(url) {
+    const path = url.split(/[?#]/)[0];
+    const template = SubtitleParser.deriveSegmentTemplate(url);
+    const segmentMatch = path.match(/(\d+)\.[a-z0-9]+$/i);
+
+    // Numbered segments of one track share everything but the number
+    const segmented = !!template && !!segmentMatch;
+    const id = segmented ? template.pattern.split(/[?#]/)[0] : path;
+
+    const tokens = this.getPathTokens(path);
+    const language = this.detectLanguage(tokens);
+    const kind = this.detectKind(tokens);
+
+    return {
+      id,
+      url,
+      language,
+      kind,
+      label: this.getTrackLabel(language, kind),
+      segmented,
+      segmentNumber: segmented ? parseInt(segmentMatch[1], 10) : 0
+    };
+  },
+
+  /**
+   * Split a URL path into lower-case words, keeping language tags like en-US together
+   * @param {string} path - URL path
+   * @returns {Array<string>} Tokens
+   */
+  getPathTokens(path) {
+    let decoded = path;
+    try {
+      decoded = decodeURIComponent(path);
+    } catch (error) {
+      // Keep the raw path if it is not valid percent-encoding
+    }
+
+    return decoded
+      .replace(/^[a-z]+:\/\/[^/]+/i, '')
+      .toLowerCase()
+      .split(/[/_.\s=,]+/)
+      .filter(Boolean);
+  },
+
+  /**
+   * Find the language tag in URL tokens (the file name wins over directories)
+   * @param {Array<string>} tokens - Path tokens
+   * @returns {string} Language tag (e.g. 'en-US') or 'und' if unknown
+   */
+  detectLanguage(tokens) {
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      const match = tokens[i].match(/^([a-z]{2,3})(?:-([a-z]{2}|\d{3}|[a-z]{4}))?$/);
+
+      if (match && this.CONFIG.LANGUAGES.includes(match[1])) {
+        return match[2]
+          ? `${match[1]}-${match[2].length === 2 ? match[2].toUpperCase() : match[2]}`
+          : match[1];
+      }
+    }
+
+    return 'und';
+  },
+
+  /**
+   * Detect whether a track is SDH/closed captions, forced narrative or normal
+   * @param {Array<string>} tokens - Path tokens
+   * @returns {string} 'sdh', 'forced' or 'normal'
+   */
+  detectKind(tokens) {
+    const words = tokens.flatMap(token => token.split('-'));
+
+    if (words.some(word => this.CONFIG.FORCED_TOKENS.includes(word))) return 'forced';
+    if (words.some(word => this.CONFIG.SDH_TOKENS.includes(word))) return 'sdh';
+    return 'normal';
+  },
+
+  /**
+   * Build a readable track name, e.g. "Spanish (es-419) - SDH"
+   * @param {string} language - Language tag
+   * @param {string} kind - Track type
+   * @returns {string} Track label
+   */
+  getTrackLabel(language, kind) {
+    let name = 'Unknown language';
+
+    if (language !== 'und') {
+      try {
+        name = `${new Intl.DisplayNames(['en'], { type: 'language' }).of(language)} (${language})`;
+      } catch (error) {
+        name = language;
+      }
+    }
+
+    if (kind === 'sdh') return `${name} - SDH`;
+    if (kind === 'forced') return `${name} - Forced`;
+    return name;
+  },
+
+  /**
+   * Get captured tracks sorted by label
+   * @returns {Array<Object>} Tracks
+   */
+  getTracks() {
+    return Array.from(this.state.tracks.values())
+      .sort((a, b) => a.label.localeCompare(b.label));
+  },
+
+  /**
+   * Get captured manifest URLs in the order they were requested
+   * @returns {Array<string>} Manifest URLs
+   */
+  getManifests() {
+    return Array.from(this.state.manifests.values());
+  },
+
+  /**
+   * Publish the captured tracks to the popup. The background worker files
+   * them under this tab, so other tabs can't replace the list.
+   */
+  async saveTracks() {
+    try {
+      const tracks = this.getTracks().map(({ id, url, language, kind, label, segmented }) => ({
+        id, url, language, kind, label, segmented
+      }));
+
+      await chrome.runtime.sendMessage({ type: 'capturedTracks', tracks, manifests: this.getManifests() });
+    } catch (error) {
+      Utils.log(`Error saving captured tracks: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Get current capture state
+   * @returns {Object} Current state information
+   */
+  getState() {
+    return {
+      isObserving: !!this.state.observer,
+      trackCount: this.state.tracks.size,
+      manifestCount: this.state.manifests.size
+    };
+  }
+};
+
+
+
+// Make TrackCapture globally available for Chrome Extension
+if (typeof window !== 'undefined') {
+  window.TrackCapture = TrackCapture;
+}
@@ -0,0 +1,488 @@
+/**
+ * Transcript Panel Module
+ * Collapsible side panel listing both subtitles side by side as bilingual
+ * rows. The current row is highlighted and kept in view, and clicking a row
+ * seeks the video to it.
+ */
+
+const TranscriptPanel = {
+  // Configuration constants
+  CONFIG: {
+    WIDTH: '420px',
+    Z_INDEX: 9999999,
+    FONT_FAMILY: 'Arial, sans-serif',
+    COLORS: {
+      SUBTITLE_1: '#FFD700', // Yellow
+      SUBTITLE_2: '#FFFFFF', // White
+      TIME: '#AAAAAA',
+      BACKGROUND: 'rgba(0, 0, 0, 0.85)',
+      ACTIVE_ROW: 'rgba(255, 255, 255, 0.15)',
+      BORDER: 'rgba(255, 255, 255, 0.1)'
+    },
+    REBUILD_DELAY: 500, // milliseconds to gather cue changes (e.g. arriving segments) before redrawing
+    SCROLL_PAUSE: 4000, // milliseconds auto-scroll waits after the user scrolls the list
+    STORAGE_KEY: 'transcriptOpen'
+  },
+
+  // State variables
+  state: {
+    panel: null,
+    list: null,
+    tab: null,
+    rows: [],
+    pairs: [],
+    activeIndex: -1,
+    currentTime: 0,
+    isOpen: false,
+    isEnabled: false,
+    source: { subtitle1: [], subtitle2: [], offsets: {} },
+    isDirty: false,
+    rebuildTimeout: null,
+    lastUserScroll: 0,
+    seekHandler: null
+  },
+
+  /**
+   * Initialize the transcript panel
+   */
+  init() {
+    Utils.log('Initializing transcript panel');
+    this.createPanel();
+    this.loadOpenState();
+    this.setupFullscreenHandler();
+  },
+
+  /**
+   * Set the function called with the row's start time in seconds when a row is clicked
+   * @param {Function} handler - Seek handler
+   */
+  setSeekHandler(handler) {
+    this.state.seekHandler = handler;
+  },
+
+  /**
+   * Create the panel, its row list and the tab that opens it
+   */
+  createPanel() {
+    try {
+      this.removePanel();
+
+      const { COLORS } = this.CONFIG;
+
+      this.state.panel = Utils.createElement('div', { id: 'dual-subtitle-transcript' });
+      this.state.list = Utils.createElement('div', { className: 'dual-subtitle-transcript-list' });
+      this.state.tab = Utils.createElement('button', {
+        id: 'dual-subtitle-transcript-tab',
+        title: 'Show transcript (Alt+T)',
+        textContent: 'Transcript'
+      });
+
+      if (!this.state.panel || !this.state.list || !this.state.tab) {
+        throw new Error('Failed to create transcript elements');
+      }
+
+      Object.assign(this.state.panel.style, {
+        position: 'fixed',
+        top: '0',
+        right: '0',
+        width: this.CONFIG.WIDTH,
+        maxWidth: '90%',
+        height: '100%',
+        display: 'none',
+        flexDirection: 'column',
+        zIndex: this.CONFIG.Z_INDEX.toString(),
+        backgroundColor: COLORS.BACKGROUND,
+        color: COLORS.SUBTITLE_2,
+        fontFamily: this.CONFIG.FONT_FAMILY,
+        fontSize: '14px',
+        boxSizing: 'border-box'
+      });
+
+      const header = Utils.createElement('div', {
+        style: {
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '10px 12px',
+          borderBottom: `1px solid ${COLORS.BORDER}`,
+          fontWeight: 'bold'
+        }
+      });
+      const title = Utils.createElement('span', { textContent: 'Transcript' });
+      const closeButton = Utils.createElement('button', { title: 'Hide transcript (Alt+T)', textContent: '✕' });
+
+      Object.assign(closeButton.style, {
+        background: 'none',
+        border: 'none',
+        color: COLORS.SUBTITLE_2,
+        fontSize: '16px',
+        cursor: 'pointer'
+      });
+      closeButton.addEventListener('click', () => this.setOpen(false));
+
+      header.appendChild(title);
+      header.appendChild(closeButton);
+
+      Object.assign(this.state.list.style, {
+        position: 'relative',
+        flex: '1',
+        overflowY: 'auto',
+        padding: '4px 0'
+      });
+
+      // One listener for every row; rows are rebuilt whenever the cues change
+      this.state.list.addEventListener('click', event => this.handleRowClick(event));
+      ['wheel', 'touchmove'].forEach(type => {
+        this.state.list.addEventListener(type, () => {
+          this.state.lastUserScroll = Date.now();
+        }, { passive: true });
+      });
+
+      this.state.panel.appendChild(header);
+      this.state.panel.appendChild(this.state.list);
+
+      Object.assign(this.state.tab.style, {
+        position: 'fixed',
+        top: '50%',
+        right: '0',
+        display: 'none',
+        transform: 'translateY(-50%)',
+        zIndex: this.CONFIG.Z_INDEX.toString(),
+        padding: '8px 6px',
+        border: 'none',
+        borderRadius: '6px 0 0 6px',
+        backgroundColor: COLORS.BACKGROUND,
+        color: COLORS.SUBTITLE_2,
+        fontFamily: this.CONFIG.FONT_FAMILY,
+        fontSize: '12px',
+        writingMode: 'vertical-rl',
+        opacity: '0.6',
+        cursor: 'pointer'
+      });
+      this.state.tab.addEventListener('click', () => this.setOpen(true));
+
+      document.body.appendChild(this.state.panel);
+      document.body.appendChild(this.state.tab);
+    } catch (error) {
+      Utils.log(`Error creating transcript panel: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Remove the panel from the DOM
+   */
+  removePanel() {
+    [this.state.panel, this.state.tab].forEach(element => {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+
+    clearTimeout(this.state.rebuildTimeout);
+    this.state.panel = null;
+    this.state.list = null;
+    this.state.tab = null;
+    this.state.rows = [];
+    this.state.activeIndex = -1;
+    this.state.rebuildTimeout = null;
+  },
+
+  /**
+   * Setup fullscreenchange event handler
+   */
+  setupFullscreenHandler() {
+    document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange());
+  },
+
+  /**
+   * Move the panel into the fullscreen element and back, like the overlay
+   */
+  handleFullscreenChange() {
+    const fullscreenElem = document.fullscreenElement;
+    const parent = fullscreenElem || document.body;
+
+    [this.state.panel, this.state.tab].forEach(element => {
+      if (!element) return;
+      parent.appendChild(element);
+      element.style.position = fullscreenElem ? 'absolute' : 'fixed';
+    });
+  },
+
+  /**
+   * Restore whether the panel was open last time
+   */
+  async loadOpenState() {
+    try {
+      const result = await chrome.storage.local.get([this.CONFIG.STORAGE_KEY]);
+      this.state.isOpen = !!result[this.CONFIG.STORAGE_KEY];
+      this.updateVisibility();
+    } catch (error) {
+      Utils.log(`Error loading transcript state: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Show the panel (or its tab) only while subtitles are displayed
+   * @param {boolean} enabled - Whether subtitles are displayed
+   */
+  setEnabled(enabled) {
+    this.state.isEnabled = enabled;
+    this.updateVisibility();
+  },
+
+  /**
+   * Open or close the panel and remember the choice
+   * @param {boolean} open - True to open
+   */
+  setOpen(open) {
+    this.state.isOpen = open;
+    this.updateVisibility();
+
+    chrome.storage.local.set({ [this.CONFIG.STORAGE_KEY]: open });
+  },
+
+  /**
+   * Open the panel if it is closed and close it otherwise
+   */
+  toggle() {
+    this.setOpen(!this.state.isOpen);
+  },
+
+  /**
+   * Apply the open and enabled flags to the panel and tab
+   */
+  updateVisibility() {
+    const { panel, tab, isOpen, isEnabled } = this.state;
+    if (!panel || !tab) return;
+
+    panel.style.display = isEnabled && isOpen ? 'flex' : 'none';
+    tab.style.display = isEnabled && !isOpen ? 'block' : 'none';
+
+    if (!isEnabled || !isOpen) return;
+
+    if (this.state.isDirty) {
+      this.rebuild();
+    } else {
+      // Rows were not updated while closed; highlight and scroll afresh
+      const row = this.state.rows[this.state.activeIndex];
+      if (row) row.style.backgroundColor = '';
+      this.state.activeIndex = -1;
+      this.update(this.state.currentTime);
+    }
+  },
+
+  /**
+   * Replace the cues listed in the panel. Rows are redrawn shortly after,
+   * and only while the panel is open.
+   * @param {Array} subtitle1 - Subtitle 1 cues
+   * @param {Array} subtitle2 - Subtitle 2 cues
+   * @param {Object} offsets - Delay per track ({ subtitle1, subtitle2 })
+   */
+  setCues(subtitle1, subtitle2, offsets = {}) {
+    this.state.source = { subtitle1, subtitle2, offsets: { ...offsets } };
+    this.state.isDirty = true;
+
+    if (!this.state.isEnabled || !this.state.isOpen || this.state.rebuildTimeout) return;
+
+    this.state.rebuildTimeout = setTimeout(() => {
+      this.state.rebuildTimeout = null;
+      if (this.state.isDirty) {
+        this.rebuild();
+      }
+    }, this.CONFIG.REBUILD_DELAY);
+  },
+
+  /**
+   * Redraw every row from the current cues
+   */
+  rebuild() {
+    try {
+      if (!this.state.list) return;
+
+      const { subtitle1, subtitle2, offsets } = this.state.source;
+      const pairs = SubtitleParser.pairCues(subtitle1, subtitle2, { offsets });
+      const fragment = document.createDocumentFragment();
+
+      this.state.rows = pairs.map((pair, index) => {
+        const row = this.createRow(pair, index);
+        fragment.appendChild(row);
+        return row;
+      });
+
+      this.state.list.textContent = '';
+      this.state.list.appendChild(fragment);
+      this.state.pairs = pairs;
+      this.state.activeIndex = -1;
+      this.state.isDirty = false;
+
+      this.update(this.state.currentTime);
+    } catch (error) {
+      Utils.log(`Error building transcript: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Create the row for one bilingual pair
+   * @param {Object} pair - Pair ({ startTime, subtitle1, subtitle2 })
+   * @param {number} index - Row index
+   * @returns {HTMLElement} Row element
+   */
+  createRow(pair, index) {
+    const { COLORS } = this.CONFIG;
+    const row = Utils.createElement('div', {
+      className: 'dual-subtitle-transcript-row',
+      'data-index': index,
+      title: 'Play from here'
+    });
+
+    Object.assign(row.style, {
+      display: 'grid',
+      gridTemplateColumns: '48px 1fr 1fr',
+      columnGap: '10px',
+      padding: '6px 12px',
+      borderBottom: `1px solid ${COLORS.BORDER}`,
+      cursor: 'pointer',
+      lineHeight: '1.4'
+    });
+
+    const time = Utils.createElement('span', { textContent: this.formatTime(pair.startTime) });
+    time.style.color = COLORS.TIME;
+    time.style.fontSize = '12px';
+
+    row.appendChild(time);
+    row.appendChild(this.createCell(pair.subtitle1, COLORS.SUBTITLE_1));
+    row.appendChild(this.createCell(pair.subtitle2, COLORS.SUBTITLE_2));
+
+    return row;
+  },
+
+  /**
+   * Create the cell holding one track's lines in a row
+   * @param {Array} cues - The pair's cues for the track
+   * @param {string} color - Text color
+   * @returns {HTMLElement} Cell element
+   */
+  createCell(cues, color) {
+    const cell = Utils.createElement('div');
+    cell.style.color = color;
+
+    cues.forEach(cue => {
+      const line = Utils.createElement('div');
+      line.style.whiteSpace = 'pre-line';
+      CueTextRenderer.render(line, cue.text);
+      cell.appendChild(line);
+    });
+
+    return cell;
+  },
+
+  /**
+   * Highlight the row at a video time and keep it in view
+   * @param {number} currentTime - Video time in seconds
+   */
+  update(currentTime) {
+    this.state.currentTime = currentTime;
+    if (!this.state.isOpen || this.state.rows.length === 0) return;
+
+    // The current row is the last one that has started
+    const index = this.findRowIndex(currentTime);
+    if (index === this.state.activeIndex) return;
+
+    const previous = this.state.rows[this.state.activeIndex];
+    const current = this.state.rows[index];
+
+    if (previous) previous.style.backgroundColor = '';
+    if (current) {
+      current.style.backgroundColor = this.CONFIG.COLORS.ACTIVE_ROW;
+
+      if (Date.now() - this.state.lastUserScroll > this.CONFIG.SCROLL_PAUSE) {
+        this.scrollToRow(current);
+      }
+    }
+
+    this.state.activeIndex = index;
+  },
+
+  /**
+   * Find the last row starting at or before a time
+   * @param {number} time - Video time in seconds
+   * @returns {number} Row index, or -1 before the first row
+   */
+  findRowIndex(time) {
+    const { pairs } = this.state;
+    let low = 0;
+    let high = pairs.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (pairs[mid].startTime <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low - 1;
+  },
+
+  /**
+   * Scroll the list so a row sits in the middle
+   * @param {HTMLElement} row - Row element
+   */
+  scrollToRow(row) {
+    const { list } = this.state;
+    list.scrollTop = Math.max(0, row.offsetTop - (list.clientHeight - row.offsetHeight) / 2);
+  },
+
+  /**
+   * Seek to the clicked row
+   * @param {MouseEvent} event - Click event
+   */
+  handleRowClick(event) {
+    const row = event.target.closest('.dual-subtitle-transcript-row');
+    if (!row || !this.state.seekHandler) return;
+
+    const pair = this.state.pairs[Number(row.getAttribute('data-index'))];
+    if (!pair) return;
+
+    // Follow the clicked row even if the list was just scrolled by hand
+    this.state.lastUserScroll = 0;
+    this.state.seekHandler(pair.startTime);
+  },
+
+  /**
+   * Format a row time as M:SS, or H:MM:SS from an hour on
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Time label
+   */
+  formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = (total % 60).toString().padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  },
+
+  /**
+   * Get current panel state
+   * @returns {Object} Current state information
+   */
+  getState() {
+    return {
+      isOpen: this.state.isOpen,
+      isEnabled: this.state.isEnabled,
+      rows: this.state.rows.length,
+      activeIndex: this.state.activeIndex
+    };
+  }
+};
+
+
+
+// Make TranscriptPanel globally available for Chrome Extension
+if (typeof window !== 'undefined') {
+  window.TranscriptPanel = TranscriptPanel;
+}
@@ -4,13 +4,15 @@
 
 const Utils = {
   /**
-   * Convert time format HH:MM:SS.mmm to seconds
-   * @param {string} hms - Time string in format HH:MM:SS.mmm
+   * Convert time format HH:MM:SS.mmm (hours optional) to seconds
+   * @param {string} hms - Time string in format HH:MM:SS.mmm or MM:SS.mmm
    * @returns {number} Time in seconds
    */
   timeToSeconds(hms) {
-    const match = hms.match(/(\d+):(\d+):(\d+\.\d+)/);
-    return match ? (+match[1]) * 3600 + (+match[2]) * 60 + parseFloat(match[3]) : 0;
+    const match = hms.match(/(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:[.,]\d+)?)/);
+    return match
+      ? (+(match[1] || 0)) * 3600 + (+match[2]) * 60 + parseFloat(match[3].replace(',', '.'))
+      : 0;
   },
 
   /**
@@ -25,6 +27,16 @@ const Utils = {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.padStart(6, '0')}`;
   },
 
+  /**
+   * Format a subtitle delay with its sign, e.g. +1.5s or -0.1s
+   * @param {number} seconds - Delay in seconds
+   * @returns {string} Formatted delay
+   */
+  formatOffset(seconds) {
+    const value = Number((seconds || 0).toFixed(3));
+    return `${value > 0 ? '+' : ''}${value}s`;
+  },
+
   /**
    * Debounce function to limit function calls
    * @param {Function} func - Function to debounce
@@ -6,6 +6,17 @@
 class PopupController {
   constructor() {
     this.elements = {};
+    // Local subtitle files per slot ({ name, format, text, cueCount, titleId })
+    this.files = { sub1: null, sub2: null };
+    // Tracks and manifests captured from the player in the active tab, and
+    // renditions listed from a pasted or captured manifest
+    this.activeTabId = null;
+    this.capturedTracks = [];
+    this.capturedManifests = [];
+    this.manifest = null;
+    this.renditions = { sub1: null, sub2: null };
+    // Saved titles whose editor is open, kept across re-renders
+    this.openTitleEditors = new Set();
     this.isInitialized = false;
     this.init();
   }
@@ -140,6 +151,27 @@ class PopupController {
     this.elements.sub1Url = document.getElementById('sub1Url');
     this.elements.sub2Url = document.getElementById('sub2Url');
     
+    // Captured track dropdowns
+    ['sub1', 'sub2'].forEach(slot => {
+      ['Track', 'TrackGroup', 'UrlGroup'].forEach(field => {
+        this.elements[`${slot}${field}`] = document.getElementById(`${slot}${field}`);
+      });
+    });
+    
+    // Segment URL template fields
+    ['sub1', 'sub2'].forEach(slot => {
+      ['Template', 'TemplatePadding', 'TemplateStart', 'TemplateStep'].forEach(field => {
+        this.elements[`${slot}${field}`] = document.getElementById(`${slot}${field}`);
+      });
+    });
+    
+    // Local file pickers
+    ['sub1', 'sub2'].forEach(slot => {
+      ['Drop', 'File', 'FileChoose', 'FileName', 'FileClear'].forEach(field => {
+        this.elements[`${slot}${field}`] = document.getElementById(`${slot}${field}`);
+      });
+    });
+    
     // Control buttons
     this.elements.sub1FontPlus = document.getElementById('sub1FontPlus');
     this.elements.sub1FontMinus = document.getElementById('sub1FontMinus');
@@ -151,14 +183,45 @@ class PopupController {
     this.elements.sub2PosUp = document.getElementById('sub2PosUp');
     this.elements.sub2PosDown = document.getElementById('sub2PosDown');
     
+    // Delay controls
+    ['sub1', 'sub2'].forEach(slot => {
+      ['OffsetValue', 'OffsetMinusLarge', 'OffsetMinus', 'OffsetPlus', 'OffsetPlusLarge'].forEach(field => {
+        this.elements[`${slot}${field}`] = document.getElementById(`${slot}${field}`);
+      });
+    });
+    
+    // Reveal mode
+    this.elements.sub1Reveal = document.getElementById('sub1Reveal');
+    this.elements.sub2Reveal = document.getElementById('sub2Reveal');
+    
     // Action buttons
     this.elements.btnStart = document.getElementById('btnStart');
     this.elements.btnStop = document.getElementById('btnStop');
     this.elements.btnSwitchPosition = document.getElementById('btnSwitchPosition');
+    this.elements.btnAutoSync = document.getElementById('btnAutoSync');
+    this.elements.btnResetTiming = document.getElementById('btnResetTiming');
+    this.elements.btnUndoTiming = document.getElementById('btnUndoTiming');
+    this.elements.resyncTrack = document.getElementById('resyncTrack');
+    
+    // Options
+    this.elements.displayMode = document.getElementById('displayMode');
+    this.elements.studyMode = document.getElementById('studyMode');
+    this.elements.studyResumeDelay = document.getElementById('studyResumeDelay');
+    this.elements.studyMinCueLength = document.getElementById('studyMinCueLength');
+    this.elements.segmentConcurrency = document.getElementById('segmentConcurrency');
+    
+    // Export
+    this.elements.exportFormat = document.getElementById('exportFormat');
+    this.elements.btnExport = document.getElementById('btnExport');
+    
+    // Saved titles
+    this.elements.savedTitlesList = document.getElementById('savedTitlesList');
+    this.elements.savedTitlesEmpty = document.getElementById('savedTitlesEmpty');
     
     // Status elements
     this.elements.statusSubtitle = document.getElementById('statusSubtitle');
     this.elements.statusTimestamp = document.getElementById('statusTimestamp');
+    this.elements.statusSync = document.getElementById('statusSync');
     
     // Validate all elements exist
     Object.entries(this.elements).forEach(([key, element]) => {
@@ -177,6 +240,33 @@ class PopupController {
     this.elements.btnStop.addEventListener('click', this.handleStop.bind(this));
     this.elements.btnSwitchPosition.addEventListener('click', this.handleSwitchPosition.bind(this));
     
+    // Timing corrections
+    this.elements.btnAutoSync.addEventListener('click', this.handleAutoSync.bind(this));
+    this.elements.btnResetTiming.addEventListener('click', this.handleResetTiming.bind(this));
+    this.elements.btnUndoTiming.addEventListener('click', this.handleUndoTiming.bind(this));
+    this.elements.resyncTrack.addEventListener('change', () => {
+      chrome.storage.local.set({ resyncTrack: this.elements.resyncTrack.value });
+    });
+    
+    // Export
+    this.elements.btnExport.addEventListener('click', this.handleExport.bind(this));
+    this.elements.exportFormat.addEventListener('change', () => {
+      chrome.storage.local.set({ exportFormat: this.elements.exportFormat.value });
+    });
+    
+    // Display mode
+    this.elements.displayMode.addEventListener('change', () => {
+      chrome.storage.local.set({ displayMode: this.elements.displayMode.value });
+    });
+    
+    // Study mode
+    this.elements.studyMode.addEventListener('change', () => {
+      chrome.storage.local.set({ studyMode: this.elements.studyMode.checked });
+    });
+    this.elements.studyResumeDelay.addEventListener('change', () => this.saveNumberOption('studyResumeDelay', 0, 60));
+    this.elements.studyMinCueLength.addEventListener('change', () => this.saveNumberOption('studyMinCueLength', 0, 10));
+    this.elements.segmentConcurrency.addEventListener('change', () => this.saveNumberOption('segmentConcurrency', 1, 16, true));
+    
     // Font size controls
     this.elements.sub1FontPlus.addEventListener('click', () => this.adjustSetting('sizeSub1', 1));
     this.elements.sub1FontMinus.addEventListener('click', () => this.adjustSetting('sizeSub1', -1));
@@ -189,9 +279,41 @@ class PopupController {
     this.elements.sub2PosUp.addEventListener('click', () => this.adjustSetting('posSub2', 3));
     this.elements.sub2PosDown.addEventListener('click', () => this.adjustSetting('posSub2', -3));
     
+    // Delay controls (seconds)
+    ['sub1', 'sub2'].forEach(slot => {
+      const key = slot === 'sub1' ? 'offsetSub1' : 'offsetSub2';
+      this.elements[`${slot}OffsetMinusLarge`].addEventListener('click', () => this.adjustSetting(key, -1));
+      this.elements[`${slot}OffsetMinus`].addEventListener('click', () => this.adjustSetting(key, -0.1));
+      this.elements[`${slot}OffsetPlus`].addEventListener('click', () => this.adjustSetting(key, 0.1));
+      this.elements[`${slot}OffsetPlusLarge`].addEventListener('click', () => this.adjustSetting(key, 1));
+    });
+    
+    // Reveal mode
+    ['sub1', 'sub2'].forEach(slot => {
+      const key = slot === 'sub1' ? 'revealSub1' : 'revealSub2';
+      this.elements[`${slot}Reveal`].addEventListener('change', () => {
+        chrome.storage.local.set({ [key]: this.elements[`${slot}Reveal`].value });
+      });
+    });
+    
     // Input validation
     this.elements.sub1Url.addEventListener('input', this.validateUrl.bind(this));
     this.elements.sub2Url.addEventListener('input', this.validateUrl.bind(this));
+    
+    // List the subtitle renditions of a pasted DASH/HLS master manifest
+    this.requestRenditions = Utils.debounce(this.requestRenditions.bind(this), 600);
+    this.elements.sub1Url.addEventListener('input', () => this.requestRenditions(this.elements.sub1Url.value.trim()));
+    this.elements.sub2Url.addEventListener('input', () => this.requestRenditions(this.elements.sub2Url.value.trim()));
+    this.elements.sub1Template.addEventListener('input', this.validateTemplate.bind(this));
+    this.elements.sub2Template.addEventListener('input', this.validateTemplate.bind(this));
+    
+    // Captured track dropdowns
+    ['sub1', 'sub2'].forEach(slot => {
+      this.elements[`${slot}Track`].addEventListener('change', () => this.handleTrackSelect(slot));
+    });
+    
+    // Local file pickers and drop zones
+    ['sub1', 'sub2'].forEach(slot => this.setupFileInput(slot));
   }
 
   /**
@@ -202,6 +324,27 @@ class PopupController {
       const result = await chrome.storage.local.get([
         'subtitleSub1URL', 
         'subtitleSub2URL', 
+        'subtitleSub1Template',
+        'subtitleSub2Template',
+        'subtitleSub1File',
+        'subtitleSub2File',
+        'capturedTracks',
+        'manifestRenditions',
+        'subtitleSub1Rendition',
+        'subtitleSub2Rendition',
+        'savedTitles',
+        'offsetSub1',
+        'offsetSub2',
+        'revealSub1',
+        'revealSub2',
+        'syncStatus',
+        'resyncTrack',
+        'displayMode',
+        'studyMode',
+        'studyResumeDelay',
+        'studyMinCueLength',
+        'segmentConcurrency',
+        'exportFormat',
         'subtitleStatus', 
         'timestampStatus'
       ]);
@@ -213,6 +356,29 @@ class PopupController {
       if (result.subtitleSub2URL) {
         this.elements.sub2Url.value = result.subtitleSub2URL;
       }
+      this.setTemplate('sub1', result.subtitleSub1Template);
+      this.setTemplate('sub2', result.subtitleSub2Template);
+      this.setFile('sub1', result.subtitleSub1File || null);
+      this.setFile('sub2', result.subtitleSub2File || null);
+      this.activeTabId = await this.getActiveTabId();
+      this.manifest = result.manifestRenditions || null;
+      this.setCapturedTracks(result.capturedTracks);
+      this.renditions.sub1 = result.subtitleSub1Rendition || null;
+      this.renditions.sub2 = result.subtitleSub2Rendition || null;
+      this.renderTrackOptions();
+      this.renderSavedTitles(result.savedTitles || {});
+      this.updateOffset('sub1', result.offsetSub1);
+      this.updateOffset('sub2', result.offsetSub2);
+      this.elements.sub1Reveal.value = result.revealSub1 || 'off';
+      this.elements.sub2Reveal.value = result.revealSub2 || 'off';
+      this.updateSyncStatus(result.syncStatus || '-');
+      this.elements.resyncTrack.value = result.resyncTrack || 'subtitle2';
+      this.elements.displayMode.value = result.displayMode || 'separate';
+      this.elements.studyMode.checked = !!result.studyMode;
+      this.elements.studyResumeDelay.value = result.studyResumeDelay || 0;
+      this.elements.studyMinCueLength.value = result.studyMinCueLength !== undefined ? result.studyMinCueLength : 1;
+      this.elements.segmentConcurrency.value = result.segmentConcurrency || 4;
+      this.elements.exportFormat.value = result.exportFormat || 'vtt';
       
       // Update status
       this.updateStatus(result.subtitleStatus || '-', result.timestampStatus || '-');
@@ -239,6 +405,27 @@ class PopupController {
    */
   handleStorageChanges(changes) {
     try {
+      if (changes.capturedTracks) {
+        this.setCapturedTracks(changes.capturedTracks.newValue);
+        this.renderTrackOptions();
+      }
+      
+      if (changes.savedTitles) {
+        this.renderSavedTitles(changes.savedTitles.newValue || {});
+      }
+      
+      if (changes.manifestRenditions) {
+        this.handleManifestRenditions(changes.manifestRenditions.newValue);
+      }
+      
+      // Delays also change from the in-page shortcuts
+      if (changes.offsetSub1) {
+        this.updateOffset('sub1', changes.offsetSub1.newValue);
+      }
+      if (changes.offsetSub2) {
+        this.updateOffset('sub2', changes.offsetSub2.newValue);
+      }
+      
       if (changes.subtitleStatus) {
         this.updateSubtitleStatus(changes.subtitleStatus.newValue);
         
@@ -251,6 +438,24 @@ class PopupController {
         }
       }
       
+      if (changes.exportStatus && changes.exportStatus.newValue) {
+        const { success, message } = changes.exportStatus.newValue;
+        if (success) {
+          this.showSuccess(message);
+        } else {
+          this.showError(message);
+        }
+      }
+      
+      if (changes.syncStatus) {
+        this.updateSyncStatus(changes.syncStatus.newValue || '-');
+      }
+      
+      // Study mode can also be toggled with Alt+S on the page
+      if (changes.studyMode) {
+        this.elements.studyMode.checked = !!changes.studyMode.newValue;
+      }
+      
       if (changes.timestampStatus) {
         this.updateTimestampStatus(changes.timestampStatus.newValue);
         
@@ -295,19 +500,35 @@ class PopupController {
     try {
       const sub1Url = this.elements.sub1Url.value.trim();
       const sub2Url = this.elements.sub2Url.value.trim();
+      const sub1Template = this.getTemplate('sub1');
+      const sub2Template = this.getTemplate('sub2');
+      
+      const sub1File = this.files.sub1;
+      const sub2File = this.files.sub2;
       
       // Validate input
-      if (!sub1Url && !sub2Url) {
-        this.showError('Please enter at least one subtitle URL');
+      if (!sub1Url && !sub2Url && !sub1Template && !sub2Template && !sub1File && !sub2File) {
+        this.showError('Please enter at least one subtitle URL or file');
         return;
       }
       
-      if (sub1Url && !this.isValidUrl(sub1Url)) {
+      // A loaded file takes the place of the slot's URL and template
+      if (!sub1File && sub1Template && !this.isValidTemplate(sub1Template.pattern)) {
+        this.showError('Invalid Subtitle 1 template - it needs a URL with {n}');
+        return;
+      }
+      
+      if (!sub2File && sub2Template && !this.isValidTemplate(sub2Template.pattern)) {
+        this.showError('Invalid Subtitle 2 template - it needs a URL with {n}');
+        return;
+      }
+      
+      if (!sub1File && sub1Url && !this.isValidUrl(sub1Url)) {
         this.showError('Invalid Subtitle 1 URL');
         return;
       }
       
-      if (sub2Url && !this.isValidUrl(sub2Url)) {
+      if (!sub2File && sub2Url && !this.isValidUrl(sub2Url)) {
         this.showError('Invalid Subtitle 2 URL');
         return;
       }
@@ -326,6 +547,12 @@ class PopupController {
       await chrome.storage.local.set({
         subtitleSub1URL: sub1Url,
         subtitleSub2URL: sub2Url,
+        subtitleSub1Template: sub1Template,
+        subtitleSub2Template: sub2Template,
+        subtitleSub1File: sub1File,
+        subtitleSub2File: sub2File,
+        subtitleSub1Rendition: this.getSelectedRendition('sub1'),
+        subtitleSub2Rendition: this.getSelectedRendition('sub2'),
         status: 'start',
         subtitleStatus: 'Sedang diambil',
         timestampStatus: 'Sedang diambil'
@@ -383,6 +610,21 @@ class PopupController {
       // Switch input field values
       this.elements.sub1Url.value = sub2Url;
       this.elements.sub2Url.value = sub1Url;
+      const sub1Rendition = this.renditions.sub1;
+      this.renditions.sub1 = this.renditions.sub2;
+      this.renditions.sub2 = sub1Rendition;
+      this.syncTrackSelect('sub1');
+      this.syncTrackSelect('sub2');
+      
+      // Switch segment templates with their URLs
+      const sub1Template = this.getTemplate('sub1');
+      this.setTemplate('sub1', this.getTemplate('sub2'));
+      this.setTemplate('sub2', sub1Template);
+      
+      // Switch local files as well
+      const sub1File = this.files.sub1;
+      this.setFile('sub1', this.files.sub2);
+      this.setFile('sub2', sub1File);
       
       // Show success message
       this.showSuccess('URL subtitle berhasil ditukar! Silakan klik Tampilkan.');
@@ -394,6 +636,65 @@ class PopupController {
     }
   }
 
+  /**
+   * Ask the active tab to align Subtitle 2 with Subtitle 1
+   */
+  async handleAutoSync() {
+    try {
+      this.updateSyncStatus('Comparing cues...');
+      await chrome.storage.local.set({
+        command: { type: 'autoSync', issuedAt: Date.now() }
+      });
+    } catch (error) {
+      console.error('Error requesting auto-sync:', error);
+      this.showError('Failed to start auto-sync');
+    }
+  }
+
+  /**
+   * Remove the timing corrections of both subtitles
+   */
+  async handleResetTiming() {
+    try {
+      await chrome.storage.local.set({
+        correctionSub1: null,
+        correctionSub2: null,
+        syncStatus: 'Reset'
+      });
+    } catch (error) {
+      console.error('Error resetting timing:', error);
+      this.showError('Failed to reset timing');
+    }
+  }
+
+  /**
+   * Ask the active tab to undo the last timing correction of the resync track
+   */
+  async handleUndoTiming() {
+    try {
+      await chrome.storage.local.set({
+        command: { type: 'undoCorrection', issuedAt: Date.now() }
+      });
+    } catch (error) {
+      console.error('Error undoing timing correction:', error);
+      this.showError('Failed to undo timing correction');
+    }
+  }
+
+  /**
+   * Ask the active tab to download the loaded subtitles as one file
+   */
+  async handleExport() {
+    try {
+      await chrome.storage.local.set({
+        command: { type: 'export', format: this.elements.exportFormat.value, issuedAt: Date.now() }
+      });
+    } catch (error) {
+      console.error('Error requesting export:', error);
+      this.showError('Failed to export subtitles');
+    }
+  }
+
   /**
    * Adjust setting value
    */
@@ -407,6 +708,9 @@ class PopupController {
         value = Math.max(-5, Math.min(10, value + delta));
       } else if (key.includes('pos')) {
         value = Math.max(-20, Math.min(20, value + delta));
+      } else if (key.includes('offset')) {
+        // Round away floating point error from repeated 0.1s steps
+        value = Math.max(-600, Math.min(600, Math.round((value + delta) * 1000) / 1000));
       }
       
       await chrome.storage.local.set({ [key]: value });
@@ -417,6 +721,30 @@ class PopupController {
     }
   }
 
+  /**
+   * Save a number option field, clamped to its range
+   */
+  async saveNumberOption(key, min, max, integer = false) {
+    try {
+      const input = this.elements[key];
+      const number = parseFloat(input.value) || 0;
+      const value = Math.max(min, Math.min(max, integer ? Math.round(number) : number));
+
+      input.value = value;
+      await chrome.storage.local.set({ [key]: value });
+    } catch (error) {
+      console.error(`Error saving ${key}:`, error);
+      this.showError('Failed to save setting');
+    }
+  }
+
+  /**
+   * Show the current delay of a slot
+   */
+  updateOffset(slot, seconds) {
+    this.elements[`${slot}OffsetValue`].textContent = Utils.formatOffset(seconds || 0);
+  }
+
   /**
    * Validate URL input
    */
@@ -433,6 +761,537 @@ class PopupController {
     }
   }
 
+  /**
+   * Pick the captured tracks and manifests of the active tab, and list the
+   * subtitle renditions of its manifest unless one is already listed
+   */
+  setCapturedTracks(capturedByTab) {
+    const entry = capturedByTab && !Array.isArray(capturedByTab) && this.activeTabId !== null
+      ? capturedByTab[this.activeTabId]
+      : null;
+    
+    this.capturedTracks = entry ? entry.tracks || [] : [];
+    this.capturedManifests = entry ? entry.manifests || [] : [];
+    
+    const listed = this.manifest && this.capturedManifests.includes(this.manifest.url);
+    if (this.capturedManifests.length > 0 && !listed) {
+      // A DASH player has one MPD; the first HLS playlist requested is the master
+      const manifestUrl = this.capturedManifests.find(url => /\.mpd$/i.test(url.split(/[?#]/)[0])) ||
+        this.capturedManifests[0];
+      this.requestRenditions(manifestUrl);
+    }
+  }
+
+  /**
+   * Ask the active tab to list the subtitle renditions of a DASH/HLS master manifest
+   */
+  async requestRenditions(url) {
+    try {
+      if (!this.isValidUrl(url) || !/\.(mpd|m3u8)$/i.test(url.split(/[?#]/)[0])) return;
+      if (this.manifest && this.manifest.url === url && !this.manifest.error) return;
+      
+      await chrome.storage.local.set({
+        command: { type: 'listRenditions', url, issuedAt: Date.now() }
+      });
+      
+    } catch (error) {
+      console.error('Error requesting manifest renditions:', error);
+    }
+  }
+
+  /**
+   * Show the renditions found in a manifest
+   */
+  handleManifestRenditions(manifest) {
+    this.manifest = manifest || null;
+    
+    if (manifest && manifest.error) {
+      // A media playlist simply has nothing to list
+      if (!manifest.error.includes('Not a master playlist')) {
+        this.showError(`Could not read manifest: ${manifest.error}`);
+      }
+    } else if (manifest && manifest.renditions.length > 0) {
+      this.showSuccess(`Found ${manifest.renditions.length} subtitle tracks in the manifest`);
+    }
+    
+    this.renderTrackOptions();
+  }
+
+  /**
+   * Fill both track dropdowns with the tracks captured from the player and
+   * the renditions of the last manifest
+   */
+  renderTrackOptions() {
+    const renditions = this.manifest && !this.manifest.error ? this.manifest.renditions : [];
+    const manifests = this.capturedManifests.filter(url => !this.manifest || this.manifest.url !== url);
+    
+    ['sub1', 'sub2'].forEach(slot => {
+      const select = this.elements[`${slot}Track`];
+      
+      // Keep only the "Custom URL" option, then add the captured tracks
+      while (select.options.length > 1) {
+        select.remove(1);
+      }
+      Array.from(select.querySelectorAll('optgroup')).forEach(group => group.remove());
+      
+      this.capturedTracks.forEach(track => {
+        const option = document.createElement('option');
+        option.value = track.url;
+        option.textContent = track.segmented ? `${track.label} (segmented)` : track.label;
+        select.appendChild(option);
+      });
+      
+      if (renditions.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'From manifest';
+        
+        renditions.forEach(rendition => {
+          const option = document.createElement('option');
+          option.value = `rendition:${rendition.id}`;
+          option.textContent = rendition.label;
+          group.appendChild(option);
+        });
+        
+        select.appendChild(group);
+      }
+      
+      // Other manifests the player requested, to list their renditions instead
+      if (manifests.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'Player manifests';
+        
+        manifests.forEach(url => {
+          const option = document.createElement('option');
+          option.value = `manifest:${url}`;
+          option.textContent = url.split(/[?#]/)[0].split('/').pop();
+          option.title = url;
+          group.appendChild(option);
+        });
+        
+        select.appendChild(group);
+      }
+      
+      this.elements[`${slot}TrackGroup`].hidden = this.capturedTracks.length === 0 &&
+        renditions.length === 0 && manifests.length === 0;
+      this.syncTrackSelect(slot);
+    });
+  }
+
+  /**
+   * Select the dropdown entry matching the slot's rendition or URL; the URL
+   * field is only shown for "Custom URL"
+   */
+  syncTrackSelect(slot) {
+    const select = this.elements[`${slot}Track`];
+    const url = this.elements[`${slot}Url`].value.trim();
+    const rendition = this.renditions[slot];
+    const values = Array.from(select.options).map(option => option.value);
+    let value = '';
+    
+    if (rendition && rendition.manifestUrl === url && values.includes(`rendition:${rendition.id}`)) {
+      value = `rendition:${rendition.id}`;
+    } else if (url && values.includes(url)) {
+      value = url;
+    }
+    
+    select.value = value;
+    this.elements[`${slot}UrlGroup`].hidden = !!value;
+  }
+
+  /**
+   * Handle a track or manifest rendition being picked from a dropdown
+   */
+  handleTrackSelect(slot) {
+    const value = this.elements[`${slot}Track`].value;
+    
+    if (value.startsWith('manifest:')) {
+      // List the manifest's renditions; the dropdown offers them once they arrive
+      const url = value.slice('manifest:'.length);
+      this.renditions[slot] = null;
+      this.elements[`${slot}Url`].value = url;
+      this.requestRenditions(url);
+      this.elements[`${slot}UrlGroup`].hidden = false;
+      return;
+    }
+    
+    if (value.startsWith('rendition:')) {
+      const id = value.slice('rendition:'.length);
+      const rendition = this.manifest.renditions.find(item => item.id === id);
+      this.renditions[slot] = rendition ? { ...rendition, manifestUrl: this.manifest.url } : null;
+      // The URL field keeps the manifest URL the rendition came from
+      this.elements[`${slot}Url`].value = this.manifest.url;
+    } else {
+      this.renditions[slot] = null;
+      if (value) {
+        this.elements[`${slot}Url`].value = value;
+      }
+    }
+    
+    this.elements[`${slot}UrlGroup`].hidden = !!value;
+  }
+
+  /**
+   * Show the titles with saved subtitle settings, most recent first
+   */
+  async renderSavedTitles(titles) {
+    const list = this.elements.savedTitlesList;
+    const entries = Object.values(titles).sort((a, b) => b.updatedAt - a.updatedAt);
+    const currentId = await this.getActiveTabTitleId();
+    
+    list.textContent = '';
+    this.elements.savedTitlesEmpty.hidden = entries.length > 0;
+    
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = entry.id === currentId ? 'saved-item current' : 'saved-item';
+      item.title = entry.url;
+      
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.className = 'saved-name';
+      name.value = entry.name;
+      name.addEventListener('change', () => {
+        const value = name.value.trim();
+        if (value) {
+          TitleStore.update(entry.id, { name: value });
+        } else {
+          name.value = entry.name;
+        }
+      });
+      
+      const autoStartLabel = document.createElement('label');
+      autoStartLabel.className = 'saved-autostart';
+      const autoStart = document.createElement('input');
+      autoStart.type = 'checkbox';
+      autoStart.checked = !!entry.autoStart;
+      autoStart.addEventListener('change', () => TitleStore.update(entry.id, { autoStart: autoStart.checked }));
+      autoStartLabel.append(autoStart, 'Auto-start');
+      
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'file-clear-btn';
+      remove.title = 'Delete saved title';
+      remove.textContent = '✕';
+      remove.addEventListener('click', () => TitleStore.remove(entry.id));
+      
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'file-clear-btn';
+      edit.title = 'Edit saved subtitles';
+      edit.textContent = '✎';
+      
+      const editor = this.createSavedTitleEditor(entry, entry.id === currentId);
+      editor.hidden = !this.openTitleEditors.has(entry.id);
+      edit.addEventListener('click', () => {
+        editor.hidden = !editor.hidden;
+        if (editor.hidden) {
+          this.openTitleEditors.delete(entry.id);
+        } else {
+          this.openTitleEditors.add(entry.id);
+        }
+      });
+      
+      item.append(name, autoStartLabel, edit, remove, editor);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Build the editor for the subtitle URLs, delays and styles of a saved title
+   */
+  createSavedTitleEditor(entry, isCurrent) {
+    const settings = entry.settings || {};
+    const editor = document.createElement('div');
+    editor.className = 'saved-editor';
+    
+    [['sub1', 'Sub1', 'Subtitle 1'], ['sub2', 'Sub2', 'Subtitle 2']].forEach(([slot, suffix, label]) => {
+      const group = document.createElement('div');
+      group.className = 'saved-editor-slot';
+      
+      const heading = document.createElement('span');
+      heading.className = 'saved-editor-heading';
+      heading.textContent = label;
+      group.appendChild(heading);
+      
+      const rendition = settings[`subtitle${suffix}Rendition`];
+      const url = this.createSavedField('URL', 'text', settings[`subtitle${suffix}URL`] || '');
+      url.input.placeholder = 'Subtitle URL';
+      url.input.addEventListener('change', () => {
+        const value = url.input.value.trim();
+        if (value && !this.isValidUrl(value)) {
+          this.showError(`Invalid ${label} URL`);
+          url.input.value = settings[`subtitle${suffix}URL`] || '';
+          return;
+        }
+        // A picked manifest track belongs to the old URL
+        if (isCurrent) {
+          this.elements[`${slot}Url`].value = value;
+          this.renditions[slot] = null;
+          this.renderTrackOptions();
+        }
+        this.updateSavedTitle(entry.id, isCurrent, {
+          [`subtitle${suffix}URL`]: value || null,
+          [`subtitle${suffix}Rendition`]: null
+        });
+      });
+      if (rendition && rendition.label) {
+        url.input.title = `Track: ${rendition.label}`;
+      }
+      group.appendChild(url.field);
+      
+      [
+        [`offset${suffix}`, 'Delay (s)', 0.1, -600, 600],
+        [`size${suffix}`, 'Size', 1, -5, 10],
+        [`pos${suffix}`, 'Position', 3, -20, 20]
+      ].forEach(([key, fieldLabel, step, min, max]) => {
+        const number = this.createSavedField(fieldLabel, 'number', settings[key] || 0);
+        Object.assign(number.input, { step, min, max });
+        number.input.addEventListener('change', () => {
+          const value = parseFloat(number.input.value);
+          const clamped = isNaN(value) ? 0 : Math.max(min, Math.min(max, value));
+          number.input.value = clamped;
+          this.updateSavedTitle(entry.id, isCurrent, { [key]: clamped });
+        });
+        group.appendChild(number.field);
+      });
+      
+      editor.appendChild(group);
+    });
+    
+    return editor;
+  }
+
+  /**
+   * Create a labelled input for the saved title editor
+   */
+  createSavedField(label, type, value) {
+    const field = document.createElement('label');
+    field.className = 'saved-editor-field';
+    
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    
+    field.append(label, input);
+    return { field, input };
+  }
+
+  /**
+   * Save edited settings of a title; the title playing in the active tab
+   * picks them up straight away, later ones when they open
+   */
+  async updateSavedTitle(id, isCurrent, changes) {
+    try {
+      await TitleStore.updateSettings(id, changes);
+      
+      if (isCurrent) {
+        const removed = Object.keys(changes).filter(key => changes[key] === null);
+        const changed = Object.keys(changes).filter(key => changes[key] !== null);
+        
+        if (removed.length > 0) {
+          await chrome.storage.local.remove(removed);
+        }
+        await chrome.storage.local.set(changed.reduce((values, key) => {
+          values[key] = changes[key];
+          return values;
+        }, {}));
+      }
+    } catch (error) {
+      console.error('Error updating saved title:', error);
+      this.showError('Failed to update saved title');
+    }
+  }
+
+  /**
+   * Get the ID of the active tab, if any
+   */
+  async getActiveTabId() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      return tab && tab.id !== undefined ? tab.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the content ID of the title playing in the active tab, if any
+   */
+  async getActiveTabTitleId() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      return tab && tab.url ? TitleStore.getContentId(tab.url) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the rendition picked for a slot, if it still belongs to the slot's URL
+   */
+  getSelectedRendition(slot) {
+    const rendition = this.renditions[slot];
+    const url = this.elements[`${slot}Url`].value.trim();
+    
+    // Only a reference is stored; the segments are looked up again on start
+    return rendition && rendition.manifestUrl === url ? TitleStore.getRenditionRef(rendition) : null;
+  }
+
+  /**
+   * Wire up the file picker and drag-and-drop zone of a slot
+   */
+  setupFileInput(slot) {
+    const drop = this.elements[`${slot}Drop`];
+    const input = this.elements[`${slot}File`];
+    
+    this.elements[`${slot}FileChoose`].addEventListener('click', () => input.click());
+    this.elements[`${slot}FileClear`].addEventListener('click', () => this.clearFile(slot));
+    
+    input.addEventListener('change', () => {
+      if (input.files.length > 0) {
+        this.loadFile(slot, input.files[0]);
+      }
+      input.value = '';
+    });
+    
+    drop.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      drop.classList.add('dragover');
+    });
+    
+    drop.addEventListener('dragleave', () => drop.classList.remove('dragover'));
+    
+    drop.addEventListener('drop', (event) => {
+      event.preventDefault();
+      drop.classList.remove('dragover');
+      
+      if (event.dataTransfer.files.length > 0) {
+        this.loadFile(slot, event.dataTransfer.files[0]);
+      }
+    });
+  }
+
+  /**
+   * Read and check a local subtitle file, then keep its text for the slot.
+   * Only the text is stored (the page parses it again), as the parsed cues
+   * take several times the space.
+   */
+  async loadFile(slot, file) {
+    try {
+      if (file.size > 5 * 1024 * 1024) {
+        this.showError('Subtitle file is too large (max 5 MB)');
+        return;
+      }
+      
+      const content = await file.text();
+      const format = SubtitleParser.detectFormat(file.name, content);
+      const cues = SubtitleParser.parse(content, format);
+      
+      if (cues.length === 0) {
+        this.showError(`No subtitles found in ${file.name}`);
+        return;
+      }
+      
+      // The title it was picked for keeps it when that title is restored
+      const titleId = await this.getActiveTabTitleId();
+      const subtitleFile = { name: file.name, format, text: content, cueCount: cues.length, titleId };
+      this.setFile(slot, subtitleFile);
+      
+      // Persist right away so the file survives a popup or page reload
+      const key = slot === 'sub1' ? 'subtitleSub1File' : 'subtitleSub2File';
+      await chrome.storage.local.set({ [key]: subtitleFile });
+      
+      this.showSuccess(`Loaded ${cues.length} subtitles from ${file.name}`);
+      
+    } catch (error) {
+      console.error(`Error loading subtitle file ${file.name}:`, error);
+      this.showError('Failed to read subtitle file');
+    }
+  }
+
+  /**
+   * Remove the local file of a slot
+   */
+  async clearFile(slot) {
+    try {
+      this.setFile(slot, null);
+      
+      const key = slot === 'sub1' ? 'subtitleSub1File' : 'subtitleSub2File';
+      await chrome.storage.local.set({ [key]: null });
+      
+    } catch (error) {
+      console.error('Error removing subtitle file:', error);
+      this.showError('Failed to remove subtitle file');
+    }
+  }
+
+  /**
+   * Show the local file of a slot (or the empty drop zone)
+   */
+  setFile(slot, subtitleFile) {
+    this.files[slot] = subtitleFile;
+    
+    this.elements[`${slot}FileName`].textContent = subtitleFile
+      ? `${subtitleFile.name} (${subtitleFile.cues ? subtitleFile.cues.length : subtitleFile.cueCount} cues)`
+      : 'or drop a .vtt, .srt, .ttml/.dfxp or .ass/.ssa file here';
+    this.elements[`${slot}FileClear`].hidden = !subtitleFile;
+    this.elements[`${slot}Drop`].classList.toggle('has-file', !!subtitleFile);
+  }
+
+  /**
+   * Validate segment template input
+   */
+  validateTemplate(event) {
+    const input = event.target;
+    const pattern = input.value.trim();
+    
+    if (pattern && !this.isValidTemplate(pattern)) {
+      input.style.borderColor = '#dc3545';
+      input.style.boxShadow = '0 0 0 3px rgba(220, 53, 69, 0.1)';
+    } else {
+      input.style.borderColor = '#e9ecef';
+      input.style.boxShadow = 'none';
+    }
+  }
+
+  /**
+   * Check if a segment template is a valid URL with a {n} placeholder
+   */
+  isValidTemplate(pattern) {
+    return pattern.includes('{n}') && this.isValidUrl(pattern.replace(/\{n\}/g, '1'));
+  }
+
+  /**
+   * Read the segment template fields of a slot
+   * @returns {Object|null} Template, or null when no template URL is entered
+   */
+  getTemplate(slot) {
+    const pattern = this.elements[`${slot}Template`].value.trim();
+    if (!pattern) return null;
+    
+    const start = parseInt(this.elements[`${slot}TemplateStart`].value, 10);
+    
+    return {
+      pattern,
+      padding: parseInt(this.elements[`${slot}TemplatePadding`].value, 10) || 1,
+      start: isNaN(start) ? 1 : start,
+      step: parseInt(this.elements[`${slot}TemplateStep`].value, 10) || 1
+    };
+  }
+
+  /**
+   * Fill the segment template fields of a slot
+   */
+  setTemplate(slot, template) {
+    this.elements[`${slot}Template`].value = template ? template.pattern : '';
+    this.elements[`${slot}TemplatePadding`].value = template ? template.padding : 1;
+    this.elements[`${slot}TemplateStart`].value = template ? template.start : 1;
+    this.elements[`${slot}TemplateStep`].value = template ? template.step : 1;
+    
+    // Keep the section open while it holds a template
+    this.elements[`${slot}Template`].closest('details').open = !!template;
+  }
+
   /**
    * Check if URL is valid
    */
@@ -473,12 +1332,21 @@ class PopupController {
     }
   }
 
+  /**
+   * Update auto-sync status
+   */
+  updateSyncStatus(status) {
+    this.elements.statusSync.textContent = status;
+    this.elements.statusSync.className = `status-value ${this.getStatusClass(status)}`;
+  }
+
   /**
    * Get CSS class for status
    */
   getStatusClass(status) {
-    if (status === 'Berhasil' || status === 'Sedang diambil') return 'success';
-    if (status === 'Gagal' || status === 'Error') return 'error';
+    if (status === 'Berhasil' || status === 'Sedang diambil' || (status && status.startsWith('Success'))) return 'success';
+    if (status && (status.startsWith('Aligned') || status.startsWith('Resynced'))) return 'success';
+    if (status === 'Gagal' || status === 'Error' || (status && status.startsWith('Not aligned'))) return 'error';
     if (status === 'Dihentikan') return 'warning';
     return 'info';
   }